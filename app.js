@@ -2,19 +2,23 @@
   VetFoodRx Application
 
   This file defines a single‑page React application for browsing veterinary
-  prescription diets. Users can filter diets by species, brand and a
-  combination of targeted disease conditions. Results are displayed as
-  responsive cards that summarise key features, bag sizes, pricing estimates
-  and targeted conditions. A comparison drawer allows users to select up to
-  three products and view them side by side. The app fetches its data
-  from a local JSON file (./data/products.json) with pricing data updated
-  via scheduled scraping from multiple retailers including 1800PetMeds and Wag.
-  The app registers a service worker for offline caching.
+  prescription diets. Users can filter diets by species, brand, food type,
+  format, life stage, size class and a combination of targeted disease
+  conditions. Results are displayed as responsive cards that summarise key
+  features, bag sizes, pricing estimates and targeted conditions. Up to six
+  products can be compared side by side at /compare, and each product has
+  its own deep-linkable detail view at /product/:id. A clinic formulary of
+  stocked diets and shelf prices is kept on the device alongside the retail
+  prices, and patient profiles with their diet plans are kept in IndexedDB.
+  The app fetches its data from a local JSON file (./data/products.json)
+  with pricing data updated via scheduled scraping from multiple retailers
+  including 1800PetMeds and Wag. The app registers a service worker for
+  offline caching.
 
   React, ReactDOM and Material UI are loaded from CDNs in index.html.
 */
 
-const { useState, useEffect } = React;
+const { useState, useEffect, useRef, useMemo } = React;
 const {
   AppBar,
   Toolbar,
@@ -31,6 +35,7 @@ const {
   FormControl,
   InputLabel,
   Select,
+  Menu,
   MenuItem,
   OutlinedInput,
   Checkbox,
@@ -39,122 +44,1289 @@ const {
   Dialog,
   DialogTitle,
   DialogContent,
+  DialogActions,
   IconButton,
   Table,
   TableBody,
   TableCell,
   TableRow,
   TableHead,
-  Tooltip
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Badge,
+  Drawer,
+  List,
+  ListItem,
+  ListItemButton,
+  Switch,
+  FormControlLabel,
+  Snackbar,
+  Alert
 } = MaterialUI;
 
-// List of possible conditions supported by the application. When adding
-// new products to data/products.json be sure to include relevant
-// conditions here so that they appear in the filter.
-const ALL_CONDITIONS = [
-  'kidney disease',
-  'urinary',
-  'digestive',
-  'diabetes',
-  'weight management',
-  'hepatic',
-  'joint',
-  'skin & food sensitivities',
-  'allergies',
-  'dental',
-  'critical care',
-  'hyperthyroidism',
-  'mobility',
-  'pancreatitis'
+// Condition taxonomy shared with the scraper (shared/conditions.js, loaded
+// before this file). Products store canonical ids; the filter menu lists
+// every condition, with child conditions indented under their parent.
+const {
+  CONDITIONS,
+  conditionLabel,
+  normalizeConditions,
+  matchesCondition
+} = VetFoodRxConditions;
+
+// Food type, format, life stage and size class lists shared with the
+// scraper (shared/food-attributes.js, loaded before this file)
+const { ATTRIBUTES, attributeLabel } = VetFoodRxAttributes;
+
+// Ranked product search (shared/search.js, loaded before this file)
+const { createSearchIndex, searchProducts, highlightMatches } = VetFoodRxSearch;
+
+// CSV and JSON export (shared/export.js, loaded before this file)
+const { productsToCsv, productsToJson } = VetFoodRxExport;
+
+// Clinic formulary kept on this device (shared/formulary.js, loaded before
+// this file)
+const { setFormularyEntry, readFormulary, formularyToJson } = VetFoodRxFormulary;
+
+// Patient profiles and diet plans (shared/patients.js, loaded before this
+// file)
+const {
+  BODY_CONDITION_SCORES,
+  parseAllergies,
+  normalizePatient,
+  patientFeedingProfile,
+  setPlanDiet,
+  removePlanDiet,
+  findAllergenMentions
+} = VetFoodRxPatients;
+
+// When a price watch fires, shared with the scheduled update
+// (shared/price-watches.js, loaded before this file)
+const { checkWatch, alertId } = VetFoodRxWatches;
+
+const TAG_SOURCES = { 'line-code': 'line code', title: 'title', description: 'description' };
+
+// Why the scraper tagged a product with a condition, e.g.
+// "High confidence: line code k/d, title "kidney care"". Empty for tags
+// without recorded evidence (hand-entered data).
+function describeConditionTag(product, id) {
+  const tag = (product.conditionTags || []).find((t) => t.id === id);
+  if (!tag) return '';
+  const evidence = tag.evidence.map((e) => (e.source === 'line-code' ? `line code ${e.match}` : `${TAG_SOURCES[e.source]} "${e.match}"`));
+  return `${tag.confidence.charAt(0).toUpperCase()}${tag.confidence.slice(1)} confidence: ${evidence.join(', ')}`;
+}
+
+// Guaranteed analysis fields written to `product.analysis` by the scraper.
+// Percent nutrients are as-fed values; calorie fields are kcal per unit.
+const NUTRIENT_FIELDS = [
+  { key: 'protein', label: 'Crude protein', shortLabel: 'Protein' },
+  { key: 'fat', label: 'Crude fat', shortLabel: 'Fat' },
+  { key: 'fiber', label: 'Crude fiber', shortLabel: 'Fiber' },
+  { key: 'moisture', label: 'Moisture', shortLabel: 'Moisture' },
+  { key: 'phosphorus', label: 'Phosphorus', shortLabel: 'Phos' },
+  { key: 'sodium', label: 'Sodium', shortLabel: 'Sodium' },
+  { key: 'kcalPerKg', label: 'Calories (kcal/kg)', shortLabel: 'kcal/kg' },
+  { key: 'kcalPerCup', label: 'Calories (kcal/cup)', shortLabel: 'kcal/cup' },
+  { key: 'kcalPerCan', label: 'Calories (kcal/can)', shortLabel: 'kcal/can' }
+];
+
+// Format a single analysis entry such as { value: 14, unit: '%', qualifier: 'min' }
+function formatNutrient(entry) {
+  if (!entry || typeof entry.value !== 'number') return '—';
+  if (entry.unit === '%') {
+    return `${entry.value}%${entry.qualifier ? ` ${entry.qualifier}` : ''}`;
+  }
+  return `${entry.value.toLocaleString()} ${entry.unit}`;
+}
+
+// Bases the comparison dialog can express percent nutrients on. Dry matter
+// removes the effect of moisture so wet and dry diets compare fairly; the
+// energy basis reflects how much of a nutrient the pet eats per 1000 kcal.
+const NUTRIENT_BASES = [
+  { key: 'asFed', label: 'As fed', unit: '%' },
+  { key: 'dryMatter', label: 'Dry matter', unit: '% DM' },
+  { key: 'perKcal', label: 'Per 1000 kcal', unit: 'g/1000 kcal' }
+];
+
+// Percent nutrients that can be converted between bases
+const CONVERTIBLE_NUTRIENTS = ['protein', 'fat', 'fiber', 'phosphorus', 'sodium'];
+
+// Convert an as-fed percent nutrient to the requested basis. Returns null
+// when the analysis lacks the moisture or energy value the basis needs.
+function convertNutrient(analysis, key, basis) {
+  const entry = analysis && analysis[key];
+  if (!entry || typeof entry.value !== 'number' || entry.unit !== '%') return null;
+
+  if (basis === 'dryMatter') {
+    const moisture = analysis.moisture && analysis.moisture.value;
+    if (typeof moisture !== 'number' || moisture >= 100) return null;
+    return (entry.value / (100 - moisture)) * 100;
+  }
+
+  if (basis === 'perKcal') {
+    const kcalPerKg = analysis.kcalPerKg && analysis.kcalPerKg.value;
+    if (!kcalPerKg) return null;
+    // Percent × 10 gives grams per kg of food; scale that to 1000 kcal
+    return (entry.value * 10 * 1000) / kcalPerKg;
+  }
+
+  return entry.value;
+}
+
+// Indexes of the lowest and highest numeric values in a comparison row.
+// Rows with fewer than two values, or where all values match, have neither.
+function findExtremes(values) {
+  const numeric = values
+    .map((value, index) => ({ value, index }))
+    .filter((entry) => typeof entry.value === 'number');
+  if (numeric.length < 2) return { low: -1, high: -1 };
+
+  const sorted = [...numeric].sort((a, b) => a.value - b.value);
+  const lowest = sorted[0];
+  const highest = sorted[sorted.length - 1];
+  if (lowest.value === highest.value) return { low: -1, high: -1 };
+  return { low: lowest.index, high: highest.index };
+}
+
+// Maintenance energy multipliers applied to RER, by species, life stage and
+// reproductive/weight status. Growth diets ignore status.
+const MER_FACTORS = {
+  dog: {
+    growth: { neutered: 2.0, intact: 2.0, weightLoss: 2.0 },
+    adult: { neutered: 1.6, intact: 1.8, weightLoss: 1.0 },
+    senior: { neutered: 1.4, intact: 1.6, weightLoss: 1.0 }
+  },
+  cat: {
+    growth: { neutered: 2.5, intact: 2.5, weightLoss: 2.5 },
+    adult: { neutered: 1.2, intact: 1.4, weightLoss: 0.8 },
+    senior: { neutered: 1.1, intact: 1.4, weightLoss: 0.8 }
+  }
+};
+
+const LIFE_STAGES = [
+  { key: 'growth', label: 'Growth (puppy / kitten)' },
+  { key: 'adult', label: 'Adult' },
+  { key: 'senior', label: 'Senior' }
+];
+
+const ENERGY_STATUSES = [
+  { key: 'neutered', label: 'Neutered / spayed' },
+  { key: 'intact', label: 'Intact' },
+  { key: 'weightLoss', label: 'Weight loss (use ideal weight)' }
+];
+
+const LB_PER_KG = 2.20462;
+
+// Resting and maintenance energy requirements in kcal/day.
+// RER = 70 × kg^0.75; MER = RER × life stage/status factor.
+function calculateDailyEnergy({ species, weight, weightUnit, lifeStage, status }) {
+  const value = parseFloat(weight);
+  if (!value || value <= 0) return null;
+
+  const weightKg = weightUnit === 'lb' ? value / LB_PER_KG : value;
+  const speciesFactors = MER_FACTORS[species] || MER_FACTORS.dog;
+  const factor = (speciesFactors[lifeStage] || speciesFactors.adult)[status] || 1;
+  const rer = 70 * Math.pow(weightKg, 0.75);
+
+  return { weightKg, rer, factor, mer: rer * factor };
+}
+
+// Daily portions for a product given its calorie density. Only the units the
+// label reports are returned (cups for dry food, cans for wet, grams for either).
+function calculateFeedingAmounts(analysis, mer) {
+  const amounts = {};
+  if (!analysis || !mer) return amounts;
+  if (analysis.kcalPerCup && analysis.kcalPerCup.value) {
+    amounts.cups = mer / analysis.kcalPerCup.value;
+  }
+  if (analysis.kcalPerCan && analysis.kcalPerCan.value) {
+    amounts.cans = mer / analysis.kcalPerCan.value;
+  }
+  if (analysis.kcalPerKg && analysis.kcalPerKg.value) {
+    amounts.grams = (mer / analysis.kcalPerKg.value) * 1000;
+  }
+  return amounts;
+}
+
+const GRAMS_PER_UNIT = {
+  lb: 453.592,
+  oz: 28.3495,
+  kg: 1000,
+  g: 1
+};
+
+// Parse a legacy free-text size such as "8.5 lb" or "12 x 13 oz cans" into
+// the variant shape { size, unit, count }.
+function parseSize(text) {
+  if (!text) return null;
+  const match = String(text)
+    .toLowerCase()
+    .match(/(?:([0-9]+)\s*x\s*)?([0-9]+(?:\.[0-9]+)?)\s*(lb|pound|oz|ounce|kg|kilogram|g|gram)s?\b/);
+  if (!match) return null;
+
+  const unit = { pound: 'lb', ounce: 'oz', kilogram: 'kg', gram: 'g' }[match[3]] || match[3];
+  return { size: parseFloat(match[2]), unit, count: match[1] ? parseInt(match[1], 10) : 1 };
+}
+
+// Size variants of a product. Older data only has free-text `bagSizes`
+// without prices; those become unpriced variants.
+function getVariants(product) {
+  if (Array.isArray(product.variants) && product.variants.length > 0) {
+    return product.variants;
+  }
+  return (product.bagSizes || [])
+    .map(parseSize)
+    .filter(Boolean)
+    .map((variant) => ({ ...variant, price: null, sku: null, availability: 'unknown' }));
+}
+
+function formatVariant(variant) {
+  const size = `${variant.size} ${variant.unit}`;
+  return variant.count > 1 ? `${variant.count} x ${size}` : size;
+}
+
+function variantGrams(variant) {
+  const unitGrams = GRAMS_PER_UNIT[variant.unit];
+  return unitGrams ? variant.size * unitGrams * (variant.count || 1) : null;
+}
+
+// Cost of feeding one priced variant of a product. Energy in the package
+// comes from kcal/kg, or from kcal/can for multi-can cases without kcal/kg.
+// Daily and 30-day costs need the pet's MER from the feeding calculator.
+function calculateVariantCost(analysis, variant, mer) {
+  const grams = variantGrams(variant);
+  if (!grams || !variant.price || !analysis) return null;
+
+  let packageKcal = null;
+  if (analysis.kcalPerKg && analysis.kcalPerKg.value) {
+    packageKcal = (grams / 1000) * analysis.kcalPerKg.value;
+  } else if (analysis.kcalPerCan && analysis.kcalPerCan.value && variant.count > 1) {
+    packageKcal = variant.count * analysis.kcalPerCan.value;
+  }
+  if (!packageKcal) return null;
+
+  const costPerKcal = variant.price / packageKcal;
+  return {
+    size: formatVariant(variant),
+    price: variant.price,
+    per1000Kcal: costPerKcal * 1000,
+    perDay: mer ? costPerKcal * mer : null,
+    per30Days: mer ? costPerKcal * mer * 30 : null
+  };
+}
+
+// Costs for every priced variant of a product, cheapest per calorie first
+function calculateProductCosts(product, mer) {
+  return getVariants(product)
+    .map((variant) => calculateVariantCost(product.analysis, variant, mer))
+    .filter(Boolean)
+    .sort((a, b) => a.per1000Kcal - b.per1000Kcal);
+}
+
+function formatPriceSpan(prices, prefix = '') {
+  const sorted = [...prices].sort((a, b) => a - b);
+  const low = sorted[0];
+  const high = sorted[sorted.length - 1];
+  return low === high
+    ? `${prefix}$${low.toFixed(2)}`
+    : `${prefix}$${low.toFixed(2)} – ${prefix}$${high.toFixed(2)}`;
+}
+
+// Where an observed price came from, e.g. "Observed Jan 4, 2026 at 1800petmeds"
+function describeObservedPrice(price) {
+  if (!price || !price.scrapedAt) return 'Observed retailer price';
+  const date = new Date(price.scrapedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  const where = price.retailer ? ` at ${price.retailer}` : '';
+  const confidence = price.confidence === 'medium' ? ' (read from page text)' : '';
+  return `Observed ${date}${where}${confidence}`;
+}
+
+// Headline price for a product with its status, so estimates and unknown
+// prices are never shown as retailer prices:
+// - observed: retailer prices for its sizes, or the scraped price record
+// - estimated: the single estimate older data carries or, when the user
+//   opts in, prices scaled from the product's other sizes
+// - unknown: nothing to show
+function getPriceSummary(product, showEstimates = false) {
+  const variants = getVariants(product);
+  const prices = variants
+    .map((variant) => variant.price)
+    .filter((price) => typeof price === 'number');
+  const price = product.price;
+
+  if (prices.length > 0) {
+    return { status: 'observed', text: formatPriceSpan(prices), detail: describeObservedPrice(price) };
+  }
+  if (price && price.status === 'observed' && typeof price.amount === 'number') {
+    return { status: 'observed', text: `$${price.amount.toFixed(2)}`, detail: describeObservedPrice(price) };
+  }
+  if (price && !price.status && typeof price.estimate === 'number') {
+    return {
+      status: 'estimated',
+      text: `~$${price.estimate.toFixed(2)}`,
+      detail: 'Estimate from older data, not a current retailer price'
+    };
+  }
+
+  const estimates = variants
+    .filter((variant) => variant.priceEstimate)
+    .map((variant) => variant.priceEstimate.amount);
+  if (showEstimates && estimates.length > 0) {
+    return {
+      status: 'estimated',
+      text: formatPriceSpan(estimates, '~'),
+      detail: 'Estimated from other sizes of this product'
+    };
+  }
+
+  return { status: 'unknown', text: 'Price unknown', detail: 'No current retailer price found' };
+}
+
+// Size price label: observed price, an opted-in estimate, or nothing
+function formatVariantPrice(variant, showEstimates) {
+  if (typeof variant.price === 'number') return formatCurrency(variant.price);
+  if (showEstimates && variant.priceEstimate) return `est. ${formatCurrency(variant.priceEstimate.amount)}`;
+  return 'price unknown';
+}
+
+// Shown wherever prices are compared, on screen and in the client handout
+const PRICE_DISCLAIMER = '*Observed prices were read from retailer pages on the date shown and ' +
+  'may vary by location and current promotions. Estimates are marked "~" or "est." and are not ' +
+  'retailer prices. Always check with your veterinarian and preferred retailer for current pricing.';
+
+// Clinic shelf price of a formulary entry, e.g. "$62.50 · 8.5 lb"
+function formatClinicPrice(entry) {
+  if (typeof entry.price !== 'number') return 'No clinic price set';
+  return entry.size ? `${formatCurrency(entry.price)} · ${entry.size}` : formatCurrency(entry.price);
+}
+
+function describeFormularyStatus(entry) {
+  return [entry.inStock ? 'In stock at the clinic' : 'Not in stock at the clinic', entry.preferred ? 'Preferred' : null]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function formatCurrency(value) {
+  return typeof value === 'number' ? `$${value.toFixed(2)}` : '—';
+}
+
+const PRICE_TREND_DAYS = 365;
+
+// Price trend for a product from data/price-history.json. Uses the first
+// variant (in the product's own order) with at least two points in the last
+// year, taking the retailer with the most observations for that variant.
+function getPriceTrend(history, product) {
+  const productSeries = history && history.series && history.series[product.id];
+  if (!productSeries) return null;
+
+  const cutoff = Date.now() - PRICE_TREND_DAYS * 24 * 60 * 60 * 1000;
+  const labels = [
+    ...getVariants(product).map(formatVariant),
+    ...Object.keys(productSeries)
+  ];
+
+  for (const label of labels) {
+    const retailers = productSeries[label];
+    if (!retailers) continue;
+
+    const best = Object.entries(retailers)
+      .map(([retailer, points]) => ({
+        retailer,
+        points: points.filter((point) => new Date(point.date).getTime() >= cutoff)
+      }))
+      .sort((a, b) => b.points.length - a.points.length)[0];
+
+    if (best && best.points.length >= 2) {
+      const first = best.points[0].price;
+      const last = best.points[best.points.length - 1].price;
+      return {
+        label,
+        retailer: best.retailer,
+        points: best.points,
+        change: first ? ((last - first) / first) * 100 : 0
+      };
+    }
+  }
+  return null;
+}
+
+// State mirrored to localStorage so it survives reloads and offline use
+function useStoredState(key, initialValue) {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem(key);
+      return stored !== null ? JSON.parse(stored) : initialValue;
+    } catch (err) {
+      return initialValue;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      console.warn(`Could not persist ${key}`, err);
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
+
+// Patient profiles are kept in IndexedDB rather than localStorage: a clinic
+// may keep many, each with its diet plan
+const PATIENT_DB = 'vetfoodrx';
+const PATIENT_STORE = 'patients';
+let patientDb = null;
+
+function openPatientDb() {
+  if (!patientDb) {
+    patientDb = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(PATIENT_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(PATIENT_STORE, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      patientDb = null;
+      throw err;
+    });
+  }
+  return patientDb;
+}
+
+// Run one request against the patient store and resolve with its result
+function patientRequest(mode, makeRequest) {
+  return openPatientDb().then((db) => new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(PATIENT_STORE, mode).objectStore(PATIENT_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+function loadPatients() {
+  return patientRequest('readonly', (store) => store.getAll());
+}
+
+function storePatient(patient) {
+  return patientRequest('readwrite', (store) => store.put(patient));
+}
+
+function deleteStoredPatient(id) {
+  return patientRequest('readwrite', (store) => store.delete(id));
+}
+
+function sortPatients(patients) {
+  return [...patients].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// A patient's conditions that the condition filter lists
+function patientConditionFilter(patient) {
+  return patient.conditions.filter((id) => CONDITIONS.some((condition) => condition.id === id));
+}
+
+// One-line summary of a patient, e.g. "Dog · 22 lb · BCS 6/9"
+function describePatient(patient) {
+  return [
+    patient.species === 'cat' ? 'Cat' : 'Dog',
+    patient.weight ? `${patient.weight} ${patient.weightUnit}` : null,
+    patient.bodyConditionScore ? `BCS ${patient.bodyConditionScore}/9` : null
+  ].filter(Boolean).join(' · ');
+}
+
+const WATCH_API = '/.netlify/functions/price-watches';
+
+// Anonymous id that ties this device's watches to server-side alerts
+function getClientId() {
+  let id = window.localStorage.getItem('vetfoodrx-client-id');
+  if (!id) {
+    id = window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : `client-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    window.localStorage.setItem('vetfoodrx-client-id', id);
+  }
+  return id;
+}
+
+// Current price for a watch: the watched size, or the cheapest priced size
+function getWatchPrice(product, watch) {
+  const prices = getVariants(product)
+    .filter((variant) => typeof variant.price === 'number')
+    .filter((variant) => !watch.variant || formatVariant(variant) === watch.variant)
+    .map((variant) => variant.price);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+// Alerts for watches at or below target, mirroring the server's evaluation
+// in netlify/lib/price-watches.js so alerts also appear offline. Returns
+// { alerts, watches } where watches that fired or were re-armed by a price
+// above target are replaced with updated copies.
+function evaluateWatches(watches, products) {
+  const alerts = [];
+  const checked = watches.map((watch) => {
+    const product = products.find((p) => p.id === watch.productId);
+    if (!product) return watch;
+    const price = getWatchPrice(product, watch);
+    const { fires, lastTriggeredPrice, rearmCount } = checkWatch(watch, price);
+    const unchanged = lastTriggeredPrice === (watch.lastTriggeredPrice == null ? null : watch.lastTriggeredPrice) &&
+      rearmCount === (watch.rearmCount || 0);
+    const updated = unchanged ? watch : { ...watch, lastTriggeredPrice, rearmCount };
+    if (!fires) return updated;
+
+    alerts.push({
+      // Same id scheme as server alerts so the panel does not show both
+      id: alertId(watch.serverId || watch.id, rearmCount, price),
+      watchId: watch.id,
+      productId: product.id,
+      productName: product.name,
+      variant: watch.variant,
+      price,
+      targetPrice: watch.targetPrice,
+      triggeredAt: new Date().toISOString(),
+      read: false
+    });
+    return updated;
+  });
+  return { alerts, watches: checked };
+}
+
+// Show a system notification through the service worker where permitted
+function showPriceNotification(alert) {
+  if (!('Notification' in window) || Notification.permission !== 'granted' || !navigator.serviceWorker) {
+    return;
+  }
+  navigator.serviceWorker.ready
+    .then((registration) =>
+      registration.showNotification('Price drop on a watched diet', {
+        body: `${alert.productName} (${alert.variant || 'any size'}) is now ${formatCurrency(alert.price)}`,
+        icon: '/icons/icon-192.png'
+      })
+    )
+    .catch((err) => console.warn('Could not show notification', err));
+}
+
+// Convert a base64url VAPID key into the Uint8Array PushManager expects
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+// Ask for notification permission and, when the server has a VAPID key,
+// a push subscription. Resolves to the subscription or null.
+async function requestPushSubscription(vapidPublicKey) {
+  if (!('Notification' in window) || !navigator.serviceWorker) return null;
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted' || !vapidPublicKey) return null;
+
+  const registration = await navigator.serviceWorker.ready;
+  if (!registration.pushManager) return null;
+  const existing = await registration.pushManager.getSubscription();
+  return existing || registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+  });
+}
+
+// Client-side routes. netlify.toml rewrites every path to index.html, so
+// the app reads the path itself: "/" is the product list, "/product/:id" a
+// product's detail view and "/compare" the comparison workspace.
+function parseRoute(pathname) {
+  if (/^\/compare\/?$/.test(pathname)) return { view: 'compare' };
+  const match = pathname.match(/^\/product\/([^/]+)\/?$/);
+  return match ? { view: 'product', id: decodeURIComponent(match[1]) } : { view: 'list' };
+}
+
+function productPath(id) {
+  return `/product/${encodeURIComponent(id)}`;
+}
+
+const MAX_COMPARE_ITEMS = 6;
+
+// The comparison workspace lists its products in the URL, pinned product
+// first, e.g. /compare?ids=prod67598,prod13804
+function comparePath(ids) {
+  return ids.length > 0 ? `/compare?ids=${ids.map(encodeURIComponent).join(',')}` : '/compare';
+}
+
+function parseCompareQuery(search) {
+  const ids = new URLSearchParams(search).get('ids') || '';
+  return ids.split(',').map((id) => id.trim()).filter(Boolean).slice(0, MAX_COMPARE_ITEMS);
+}
+
+// Single-choice filters on food attributes: the product field they test,
+// its query string parameter and the filter bar labels
+const ATTRIBUTE_FILTERS = [
+  { field: 'type', param: 'type', label: 'Food Type', anyLabel: 'Any Type' },
+  { field: 'formats', param: 'format', label: 'Format', anyLabel: 'Any Format' },
+  { field: 'lifeStages', param: 'stage', label: 'Life Stage', anyLabel: 'Any Life Stage' },
+  { field: 'sizeClasses', param: 'size', label: 'Size Class', anyLabel: 'Any Size' }
+];
+
+const NO_ATTRIBUTE_FILTERS = Object.fromEntries(ATTRIBUTE_FILTERS.map(({ field }) => [field, '']));
+
+// List state kept in the query string so a refresh or a shared link
+// restores it, e.g. ?species=dog&conditions=kidney,urinary&match=any
+// &format=loaf&formulary=1&q=renal&sort=price-asc (match=any combines
+// conditions with OR; formulary=1 lists only diets on the clinic
+// formulary). Older links also carry compare=prod67598,prod13804&view=compare;
+// those products are adopted into the comparison, which now lives at
+// /compare.
+function parseListQuery(search) {
+  const params = new URLSearchParams(search);
+  const list = (key) => (params.get(key) || '').split(',').map((value) => value.trim()).filter(Boolean);
+  return {
+    species: params.get('species') || '',
+    brand: params.get('brand') || '',
+    conditions: normalizeConditions(list('conditions')).ids,
+    conditionsMatch: params.get('match') === 'any' ? 'any' : 'all',
+    attributes: Object.fromEntries(ATTRIBUTE_FILTERS.map(({ field, param }) => {
+      const value = params.get(param) || '';
+      return [field, ATTRIBUTES[field].some((item) => item.id === value) ? value : ''];
+    })),
+    formularyOnly: params.get('formulary') === '1',
+    search: params.get('q') || '',
+    compare: list('compare').slice(0, MAX_COMPARE_ITEMS),
+    compareOpen: params.get('view') === 'compare',
+    sort: SORT_OPTIONS.some((o) => o.key === params.get('sort')) ? params.get('sort') : 'relevance'
+  };
+}
+
+// Query string for list state, '' when everything is at its default
+function buildListQuery({
+  species = '',
+  brand = '',
+  conditions = [],
+  conditionsMatch = 'all',
+  attributes = NO_ATTRIBUTE_FILTERS,
+  formularyOnly = false,
+  search = '',
+  sort = 'relevance'
+}) {
+  const params = new URLSearchParams();
+  if (species) params.set('species', species);
+  if (brand) params.set('brand', brand);
+  if (conditions.length > 0) params.set('conditions', conditions.join(','));
+  if (conditionsMatch === 'any') params.set('match', 'any');
+  ATTRIBUTE_FILTERS.forEach(({ field, param }) => {
+    if (attributes[field]) params.set(param, attributes[field]);
+  });
+  if (formularyOnly) params.set('formulary', '1');
+  if (search.trim()) params.set('q', search);
+  if (sort !== 'relevance') params.set('sort', sort);
+  // Commas are legal in a query; keep lists readable in shared links
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `?${query}` : '';
+}
+
+// Filters that can be counted per option; `matches` tests one option
+const LIST_FACETS = {
+  species: { matches: (p, species) => p.species === species || p.species === 'both' },
+  brand: { matches: (p, brand) => p.brand === brand },
+  conditions: { matches: (p, cond) => matchesCondition(p.targetedConditions, cond) },
+  ...Object.fromEntries(ATTRIBUTE_FILTERS.map(({ field }) => [field, {
+    matches: (p, value) => (Array.isArray(p[field]) ? p[field].includes(value) : p[field] === value)
+  }]))
+};
+
+// Active filters as predicates keyed like LIST_FACETS, plus the search
+// results when there is a query and the clinic formulary entries when
+// listing only those. Conditions combine with AND, or with OR when
+// `conditionsMatch` is 'any'.
+function buildListFilters({ species, brand, conditions, conditionsMatch, attributes, searchResults, formulary = null }) {
+  const matchedIds = searchResults && new Set(searchResults.map((result) => result.product.id));
+  const combine = conditionsMatch === 'any' ? 'some' : 'every';
+  const filters = {
+    species: species ? (p) => LIST_FACETS.species.matches(p, species) : null,
+    brand: brand ? (p) => LIST_FACETS.brand.matches(p, brand) : null,
+    conditions: conditions.length > 0
+      ? (p) => conditions[combine]((cond) => LIST_FACETS.conditions.matches(p, cond))
+      : null,
+    search: matchedIds ? (p) => matchedIds.has(p.id) : null,
+    formulary: formulary ? (p) => Boolean(formulary[p.id]) : null
+  };
+  ATTRIBUTE_FILTERS.forEach(({ field }) => {
+    const value = attributes[field];
+    filters[field] = value ? (p) => LIST_FACETS[field].matches(p, value) : null;
+  });
+  return filters;
+}
+
+function passesFilters(product, filters, except = null) {
+  return Object.keys(filters).every((key) => key === except || !filters[key] || filters[key](product));
+}
+
+// How many products each filter option would leave. `options` maps a facet
+// key to the option values to count. Options of the `stacked` facets
+// (conditions combined with AND) narrow the current selection; the others
+// replace it, or widen it for conditions combined with OR.
+function countFacets(products, filters, options, stacked = []) {
+  const counts = {};
+  Object.keys(options).forEach((key) => {
+    const facet = LIST_FACETS[key];
+    const pool = products.filter((p) => passesFilters(p, filters, stacked.includes(key) ? null : key));
+    counts[key] = {};
+    options[key].forEach((option) => {
+      counts[key][option] = pool.filter((p) => facet.matches(p, option)).length;
+    });
+  });
+  return counts;
+}
+
+// Menu label with the number of products the option would leave
+function withCount(label, count) {
+  return typeof count === 'number' ? `${label} (${count})` : label;
+}
+
+// Lowest shown price: an observed size or product price, else an older
+// estimate. Null when the price is unknown.
+function sortPrice(product) {
+  const prices = getVariants(product)
+    .map((variant) => variant.price)
+    .filter((price) => typeof price === 'number');
+  if (prices.length > 0) return Math.min(...prices);
+  const price = product.price;
+  if (price && price.status === 'observed' && typeof price.amount === 'number') return price.amount;
+  if (price && !price.status && typeof price.estimate === 'number') return price.estimate;
+  return null;
+}
+
+function updatedTime(product) {
+  const time = Date.parse(product.lastSeen || product.lastUpdated || (product.price && product.price.scrapedAt) || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+// Sort orders for the product grid. `value` gives the sort key (null sorts
+// last in either direction); 'relevance' keeps search rank, or file order
+// without a search.
+const SORT_OPTIONS = [
+  { key: 'relevance', label: 'Best match' },
+  { key: 'price-asc', label: 'Price: low to high', value: sortPrice },
+  { key: 'price-desc', label: 'Price: high to low', value: sortPrice, descending: true },
+  {
+    key: 'cost-kcal',
+    label: 'Cost per 1000 kcal',
+    value: (p) => {
+      const cheapest = calculateProductCosts(p, null)[0];
+      return cheapest ? cheapest.per1000Kcal : null;
+    }
+  },
+  { key: 'brand', label: 'Brand (A–Z)', value: (p) => p.brand },
+  { key: 'name', label: 'Name (A–Z)', value: (p) => p.name },
+  { key: 'updated', label: 'Recently updated', value: updatedTime, descending: true }
 ];
 
-// Available brands. This list will populate automatically based on
-// products loaded from the JSON.
+function sortProducts(products, sortKey, searchResults) {
+  const option = SORT_OPTIONS.find((o) => o.key === sortKey) || SORT_OPTIONS[0];
+  if (!option.value) {
+    if (!searchResults) return products;
+    const rank = new Map(searchResults.map((result, index) => [result.product.id, index]));
+    return [...products].sort((a, b) => rank.get(a.id) - rank.get(b.id));
+  }
+  const keyed = products.map((product) => ({ product, value: option.value(product) }));
+  keyed.sort((a, b) => {
+    if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+    const order = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+    return (option.descending ? -order : order) || a.product.name.localeCompare(b.product.name);
+  });
+  return keyed.map((entry) => entry.product);
+}
+
+// Other listed diets for the same species that share a targeted condition,
+// most shared conditions first
+function findRelatedProducts(product, products, limit = 4) {
+  const sameSpecies = (p) => p.species === product.species || p.species === 'both' || product.species === 'both';
+  return products
+    .filter((p) => p.id !== product.id && p.status !== 'discontinued' && sameSpecies(p))
+    .map((p) => ({
+      product: p,
+      shared: product.targetedConditions.filter((cond) => matchesCondition(p.targetedConditions, cond)).length
+    }))
+    .filter((entry) => entry.shared > 0)
+    .sort((a, b) => b.shared - a.shared || a.product.name.localeCompare(b.product.name))
+    .slice(0, limit)
+    .map((entry) => entry.product);
+}
+
+// Placeholder artwork for products whose image is missing or fails to load
+function getFallbackImage(product) {
+  const species = product.species === 'both' ? 'pet' : product.species;
+  const type = product.type || 'dry';
+  return `data:image/svg+xml;base64,${btoa(`
+    <svg width="200" height="160" xmlns="http://www.w3.org/2000/svg">
+      <rect width="200" height="160" fill="#F5E6D3"/>
+      <circle cx="100" cy="60" r="25" fill="#87A96B"/>
+      <text x="100" y="66" text-anchor="middle" fill="white" font-family="Arial" font-size="14" font-weight="bold">
+        ${species === 'dog' ? '🐕' : species === 'cat' ? '🐱' : '🐾'}
+      </text>
+      <text x="100" y="90" text-anchor="middle" fill="#3C2415" font-family="Arial" font-size="12">
+        ${product.brand.split(' ')[0]}
+      </text>
+      <text x="100" y="110" text-anchor="middle" fill="#2D5016" font-family="Arial" font-size="10">
+        ${type.toUpperCase()} FOOD
+      </text>
+      <text x="100" y="130" text-anchor="middle" fill="#87A96B" font-family="Arial" font-size="9">
+        ${species.toUpperCase()}
+      </text>
+    </svg>
+  `)}`;
+}
 
 function App() {
   const [products, setProducts] = useState([]);
   const [filtered, setFiltered] = useState([]);
-  const [speciesFilter, setSpeciesFilter] = useState('');
-  const [brandFilter, setBrandFilter] = useState('');
-  const [conditionsFilter, setConditionsFilter] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [compareItems, setCompareItems] = useState([]);
-  const [isCompareOpen, setCompareOpen] = useState(false);
+  // Filters and search start from the query string
+  const [initialList] = useState(() => parseListQuery(window.location.search));
+  const [speciesFilter, setSpeciesFilter] = useState(initialList.species);
+  const [brandFilter, setBrandFilter] = useState(initialList.brand);
+  const [conditionsFilter, setConditionsFilter] = useState(initialList.conditions);
+  const [conditionsMatch, setConditionsMatch] = useState(initialList.conditionsMatch);
+  const [attributeFilters, setAttributeFilters] = useState(initialList.attributes);
+  const [formularyOnly, setFormularyOnly] = useState(initialList.formularyOnly);
+  const [searchTerm, setSearchTerm] = useState(initialList.search);
+  const [sortOrder, setSortOrder] = useState(initialList.sort);
+  // The comparison is kept on this device, pinned product first
+  const [compareIds, setCompareIds] = useStoredState('vetfoodrx-compare', []);
+  const [compareView, setCompareView] = useStoredState('vetfoodrx-compare-view', {
+    onlyDifferences: false,
+    hideIdentical: false
+  });
+  const [compareNotice, setCompareNotice] = useState('');
+  const [isShareCopied, setShareCopied] = useState(false);
+  const [nutrientBasis, setNutrientBasis] = useState('dryMatter');
+  const [priceHistory, setPriceHistory] = useState(null);
+  const [feedingProfile, setFeedingProfile] = useState({
+    species: 'dog',
+    weight: '',
+    weightUnit: 'lb',
+    lifeStage: 'adult',
+    status: 'neutered'
+  });
+
+  const [watches, setWatches] = useStoredState('vetfoodrx-watches', []);
+  const [alerts, setAlerts] = useStoredState('vetfoodrx-alerts', []);
+  // Size-derived price estimates are opt-in and always labelled
+  const [showEstimates, setShowEstimates] = useStoredState('vetfoodrx-show-estimates', false);
+  const [isAlertsOpen, setAlertsOpen] = useState(false);
+  // The clinic's stocked diets and shelf prices, by product id
+  const [formulary, setFormulary] = useStoredState('vetfoodrx-formulary', {});
+  const [isFormularyOpen, setFormularyOpen] = useState(false);
+  // Patient profiles on this device; the active one is remembered
+  const [patients, setPatients] = useState([]);
+  const [activePatientId, setActivePatientId] = useStoredState('vetfoodrx-active-patient', null);
+  const [isPatientsOpen, setPatientsOpen] = useState(false);
+  const [editingPatient, setEditingPatient] = useState(null);
+  const [vapidPublicKey, setVapidPublicKey] = useState(null);
+  // Older list links with view=compare open the comparison workspace
+  const [route, setRoute] = useState(() =>
+    (initialList.compareOpen ? { view: 'compare' } : parseRoute(window.location.pathname))
+  );
+
+  // Daily energy for the pet last entered in a feeding calculator; drives
+  // cost-per-day estimates on cards and in the comparison table
+  const dailyEnergy = calculateDailyEnergy(feedingProfile);
 
   // Load product data from local JSON on mount
   useEffect(() => {
     // Add cache-busting parameter to ensure fresh data
     const cacheBreaker = Date.now();
-    fetch(`./data/products.json?v=${cacheBreaker}`)
+    fetch(`/data/products.json?v=${cacheBreaker}`)
       .then((res) => res.json())
       .then((data) => {
         console.log(`Loaded ${data.products?.length || 0} products from ${data.source || 'unknown source'}`);
-        setProducts(data.products || []);
+        // Older data stores labels or synonyms; unknown tags are kept for display
+        const unknownTags = new Set();
+        const loaded = (data.products || []).map((p) => {
+          const { ids, unknown } = normalizeConditions(p.targetedConditions);
+          unknown.forEach((tag) => unknownTags.add(tag));
+          return { ...p, targetedConditions: ids.concat(unknown) };
+        });
+        if (unknownTags.size > 0) {
+          console.warn(`Condition tags outside the taxonomy: ${Array.from(unknownTags).join(', ')}`);
+        }
+        setProducts(loaded);
       })
       .catch((err) => console.error('Error loading product data', err));
+
+    // Alerts recorded by the scheduled update for this device's watches
+    fetch(`${WATCH_API}?clientId=${encodeURIComponent(getClientId())}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setVapidPublicKey(data.vapidPublicKey);
+        addAlerts((data.alerts || []).map((alert) => ({ ...alert, read: false })));
+      })
+      .catch((err) => console.warn('Price alert service unavailable', err));
+
+    // Price history is optional; trends are simply hidden without it
+    fetch(`/data/price-history.json?v=${cacheBreaker}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setPriceHistory(data))
+      .catch((err) => console.warn('Price history unavailable', err));
   }, []);
 
-  // Update filtered list whenever filters or products change
+  // The active patient's details fill in the feeding calculator from the
+  // start of the session, and its species and conditions filter the list
+  // unless the page was opened with filters of its own
   useEffect(() => {
-    let list = products;
-    // Filter by species if selected; treat 'both' as matching any
-    if (speciesFilter) {
-      list = list.filter(
-        (p) => p.species === speciesFilter || p.species === 'both'
-      );
+    loadPatients()
+      .then((stored) => {
+        const loaded = sortPatients(stored.map(normalizePatient));
+        setPatients(loaded);
+        const active = loaded.find((patient) => patient.id === activePatientId);
+        if (!active) return;
+        setFeedingProfile(patientFeedingProfile(active));
+        if (buildListQuery({ ...initialList, sort: 'relevance' }) === '') {
+          // Part of opening the page, so the URL is replaced, not pushed
+          hasSyncedUrl.current = false;
+          setSpeciesFilter(active.species);
+          setConditionsFilter(patientConditionFilter(active));
+        }
+      })
+      .catch((err) => console.warn('Patient profiles unavailable', err));
+  }, []);
+
+  // Follow the browser's back and forward buttons between routes and
+  // list states
+  useEffect(() => {
+    const onPopState = () => {
+      const nextRoute = parseRoute(window.location.pathname);
+      setRoute(nextRoute);
+      if (nextRoute.view === 'list') restoreListState(window.location.search);
+      if (nextRoute.view === 'compare') adoptComparison(parseCompareQuery(window.location.search));
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const listQuery = buildListQuery({
+    species: speciesFilter,
+    brand: brandFilter,
+    conditions: conditionsFilter,
+    conditionsMatch,
+    attributes: attributeFilters,
+    formularyOnly,
+    search: searchTerm,
+    sort: sortOrder
+  });
+  const lastSearchTerm = useRef(searchTerm);
+  const hasSyncedUrl = useRef(false);
+
+  // A comparison link, or an older list link with compare ids, replaces
+  // the stored comparison
+  useEffect(() => {
+    adoptComparison(route.view === 'compare' && !initialList.compareOpen
+      ? parseCompareQuery(window.location.search)
+      : initialList.compare);
+  }, []);
+
+  // URL for the current list state or comparison; product pages keep
+  // theirs
+  const stateUrl = route.view === 'list'
+    ? `${window.location.pathname}${listQuery}`
+    : route.view === 'compare' ? comparePath(compareIds) : null;
+
+  // Write list and comparison state to the URL. Each filter change is a
+  // history entry; typing in the search box, editing the comparison, and
+  // tidying the URL the page was opened with, replace the current one.
+  useEffect(() => {
+    const replace = searchTerm !== lastSearchTerm.current || !hasSyncedUrl.current || route.view === 'compare';
+    lastSearchTerm.current = searchTerm;
+    hasSyncedUrl.current = true;
+    if (!stateUrl || stateUrl === `${window.location.pathname}${window.location.search}`) return;
+    if (replace) {
+      window.history.replaceState(null, '', stateUrl);
+    } else {
+      window.history.pushState(null, '', stateUrl);
     }
-    // Filter by brand
-    if (brandFilter) {
-      list = list.filter((p) => p.brand === brandFilter);
+  }, [stateUrl]);
+
+  const detailProduct = route.view === 'product' ? products.find((p) => p.id === route.id) : null;
+
+  useEffect(() => {
+    if (detailProduct) {
+      document.title = `${detailProduct.name} | VetFoodRx`;
+    } else {
+      document.title = route.view === 'compare' ? 'Compare diets | VetFoodRx' : 'VetFoodRx';
     }
-    // Filter by selected conditions (AND logic)
-    if (conditionsFilter.length > 0) {
-      list = list.filter((p) =>
-        conditionsFilter.every((cond) => p.targetedConditions.includes(cond))
-      );
+  }, [detailProduct, route.view]);
+
+  const searchIndex = useMemo(() => createSearchIndex(products), [products]);
+
+  // Discontinued products stay in the data so saved ids still resolve,
+  // but are not offered when browsing
+  const listedProducts = useMemo(() => products.filter((p) => p.status !== 'discontinued'), [products]);
+  // Search name, brand, conditions, features and description, most
+  // relevant first; null without a query
+  const searchResults = useMemo(
+    () => (searchTerm.trim() !== '' ? searchProducts(searchIndex, searchTerm) : null),
+    [searchIndex, searchTerm]
+  );
+  // A parent condition also matches products tagged with one of its
+  // children
+  const listFilters = useMemo(
+    () => buildListFilters({
+      species: speciesFilter,
+      brand: brandFilter,
+      conditions: conditionsFilter,
+      conditionsMatch,
+      attributes: attributeFilters,
+      searchResults,
+      formulary: formularyOnly ? formulary : null
+    }),
+    [speciesFilter, brandFilter, conditionsFilter, conditionsMatch, attributeFilters, searchResults, formularyOnly, formulary]
+  );
+
+  // Update filtered list whenever filters, sort or products change
+  useEffect(() => {
+    const list = listedProducts.filter((p) => passesFilters(p, listFilters));
+    setFiltered(sortProducts(list, sortOrder, searchResults));
+  }, [listedProducts, listFilters, sortOrder, searchResults]);
+
+  // Check watches against the loaded prices so drops surface even offline
+  useEffect(() => {
+    if (products.length === 0 || watches.length === 0) return;
+    const { alerts: triggered, watches: checked } = evaluateWatches(watches, products);
+    if (triggered.length > 0) {
+      addAlerts(triggered);
+      triggered.forEach(showPriceNotification);
+    }
+
+    const changed = checked.filter((watch, index) => watch !== watches[index]);
+    if (changed.length === 0) return;
+    setWatches((prev) =>
+      prev.map((watch) => {
+        const update = changed.find((w) => w.id === watch.id);
+        return update
+          ? { ...watch, lastTriggeredPrice: update.lastTriggeredPrice, rearmCount: update.rearmCount }
+          : watch;
+      })
+    );
+  }, [products, watches]);
+
+  // Merge new alerts, ignoring ones already in the panel
+  function addAlerts(newAlerts) {
+    setAlerts((prev) => {
+      const known = new Set(prev.map((alert) => alert.id));
+      const fresh = newAlerts.filter((alert) => !known.has(alert.id));
+      return fresh.length > 0 ? [...fresh, ...prev] : prev;
+    });
+  }
+
+  // Watch a product (optionally one size) for a target price. The watch is
+  // kept locally and registered with the server for scheduled evaluation.
+  async function handleWatch(product, variant, targetPrice) {
+    const watch = {
+      id: `watch-${Date.now()}`,
+      productId: product.id,
+      variant: variant || null,
+      targetPrice: parseFloat(targetPrice),
+      lastTriggeredPrice: null,
+      rearmCount: 0
+    };
+    const previous = watches.find((w) => w.productId === product.id);
+    if (previous) handleUnwatch(previous);
+    setWatches((prev) => [...prev.filter((w) => w.productId !== product.id), watch]);
+
+    try {
+      const subscription = await requestPushSubscription(vapidPublicKey);
+      const res = await fetch(WATCH_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          clientId: getClientId(),
+          productId: product.id,
+          variant: watch.variant,
+          targetPrice: watch.targetPrice,
+          subscription
+        })
+      });
+      const data = await res.json();
+      if (data.watch) {
+        setWatches((prev) => prev.map((w) => (w.id === watch.id ? { ...w, serverId: data.watch.id } : w)));
+      }
+    } catch (err) {
+      console.warn('Watch saved on this device only', err);
     }
-    // Search by product name (case‑insensitive)
-    if (searchTerm.trim() !== '') {
-      const term = searchTerm.toLowerCase();
-      list = list.filter((p) => p.name.toLowerCase().includes(term));
+  }
+
+  function handleUnwatch(watch) {
+    setWatches((prev) => prev.filter((w) => w.id !== watch.id));
+    if (watch.serverId) {
+      fetch(`${WATCH_API}?clientId=${encodeURIComponent(getClientId())}&watchId=${encodeURIComponent(watch.serverId)}`, {
+        method: 'DELETE'
+      }).catch((err) => console.warn('Could not remove server watch', err));
     }
-    setFiltered(list);
-  }, [speciesFilter, brandFilter, conditionsFilter, searchTerm, products]);
+  }
+
+  const unreadAlerts = alerts.filter((alert) => !alert.read).length;
 
   // Derive list of brands from loaded products for filter options
-  const brands = Array.from(new Set(products.map((p) => p.brand))).sort();
+  const brands = useMemo(() => Array.from(new Set(products.map((p) => p.brand))).sort(), [products]);
+
+  // Products each filter option would leave, so dead ends can be disabled
+  const facetCounts = useMemo(
+    () => countFacets(listedProducts, listFilters, {
+      species: ['dog', 'cat'],
+      brand: brands,
+      conditions: CONDITIONS.map((condition) => condition.id),
+      ...Object.fromEntries(ATTRIBUTE_FILTERS.map(({ field }) => [field, ATTRIBUTES[field].map((item) => item.id)]))
+    }, conditionsMatch === 'all' ? ['conditions'] : []),
+    [listedProducts, listFilters, brands, conditionsMatch]
+  );
+  const formularyCount = useMemo(
+    () => listedProducts.filter((p) => formulary[p.id] && passesFilters(p, listFilters, 'formulary')).length,
+    [listedProducts, listFilters, formulary]
+  );
+
+  // Move to an app route (path and optional query) without reloading
+  function navigate(path) {
+    const url = new URL(path, window.location.origin);
+    const target = `${url.pathname}${url.search}`;
+    if (target !== `${window.location.pathname}${window.location.search}`) {
+      window.history.pushState(null, '', target);
+    }
+    setRoute(parseRoute(url.pathname));
+    window.scrollTo(0, 0);
+  }
+
+  function restoreListState(search) {
+    const state = parseListQuery(search);
+    setSpeciesFilter(state.species);
+    setBrandFilter(state.brand);
+    setConditionsFilter(state.conditions);
+    setConditionsMatch(state.conditionsMatch);
+    setAttributeFilters(state.attributes);
+    setFormularyOnly(state.formularyOnly);
+    setSearchTerm(state.search);
+    setSortOrder(state.sort);
+  }
+
+  function adoptComparison(ids) {
+    if (ids.length > 0) setCompareIds(ids);
+  }
+
+  // Compared products, pinned first. Ids from storage or a shared link
+  // resolve once the product data has loaded.
+  const compareItems = compareIds
+    .map((id) => products.find((p) => p.id === id))
+    .filter(Boolean);
 
-  // Toggle compare dialog open or closed
-  const toggleCompare = () => setCompareOpen((open) => !open);
+  useEffect(() => {
+    setShareCopied(false);
+  }, [compareIds]);
 
-  // Add or remove an item from comparison list
+  // Add or remove an item from comparison list. A full comparison says so
+  // instead of dropping the new product.
   function handleCompareToggle(product) {
-    setCompareItems((prev) => {
-      const exists = prev.find((item) => item.id === product.id);
-      if (exists) {
-        return prev.filter((item) => item.id !== product.id);
-      }
-      // Limit comparison to three items
-      if (prev.length >= 3) return prev;
-      return [...prev, product];
-    });
+    if (compareIds.includes(product.id)) {
+      setCompareIds(compareIds.filter((id) => id !== product.id));
+    } else if (compareIds.length >= MAX_COMPARE_ITEMS) {
+      setCompareNotice(`You can compare up to ${MAX_COMPARE_ITEMS} products. Remove one to add ${product.name}.`);
+    } else {
+      setCompareIds([...compareIds, product.id]);
+    }
   }
 
-  return (
-    <Box>
-      <AppBar 
-        position="static" 
-        sx={{ 
-          background: 'linear-gradient(135deg, var(--primary-green) 0%, var(--sage-green) 100%)',
-          boxShadow: '0 4px 20px rgba(45, 80, 22, 0.3)'
-        }}
-      >
-        <Toolbar sx={{ py: 1 }}>
-          <Box sx={{ display: 'flex', alignItems: 'center', flexGrow: 1 }}>
-            <Box 
-              sx={{ 
-                width: 40, 
-                height: 40, 
+  const activePatient = patients.find((patient) => patient.id === activePatientId) || null;
+
+  // Save a new or edited patient on this device
+  function savePatient(patient) {
+    const saved = normalizePatient({ ...patient, updatedAt: new Date().toISOString() });
+    setPatients((prev) => sortPatients([...prev.filter((p) => p.id !== saved.id), saved]));
+    storePatient(saved).catch((err) => console.warn('Patient kept for this session only', err));
+    return saved;
+  }
+
+  function removePatient(patient) {
+    setPatients((prev) => prev.filter((p) => p.id !== patient.id));
+    if (patient.id === activePatientId) setActivePatientId(null);
+    deleteStoredPatient(patient.id).catch((err) => console.warn('Could not delete patient', err));
+  }
+
+  // Make a patient the active one: its species and diagnosed conditions
+  // become the list filters and its details fill in the feeding calculator
+  function selectPatient(patient) {
+    const conditions = patientConditionFilter(patient);
+    setActivePatientId(patient.id);
+    setSpeciesFilter(patient.species);
+    setConditionsFilter(conditions);
+    setFeedingProfile(patientFeedingProfile(patient));
+    setPatientsOpen(false);
+    if (route.view !== 'list') {
+      navigate(`/${buildListQuery({
+        species: patient.species,
+        brand: brandFilter,
+        conditions,
+        conditionsMatch,
+        attributes: attributeFilters,
+        formularyOnly,
+        search: searchTerm,
+        sort: sortOrder
+      })}`);
+    }
+  }
+
+  // New patients become the active one
+  function handlePatientSave(patient) {
+    if (!patient.id) {
+      selectPatient(savePatient({ ...patient, id: `patient-${Date.now()}` }));
+      return;
+    }
+    const saved = savePatient(patient);
+    if (saved.id === activePatientId) setFeedingProfile(patientFeedingProfile(saved));
+  }
+
+  function savePlanDiet(product, diet) {
+    if (activePatient) savePatient(setPlanDiet(activePatient, product.id, diet));
+  }
+
+  function updateFormularyEntry(productId, entry) {
+    setFormulary((prev) => setFormularyEntry(prev, productId, entry));
+  }
+
+  // Move a product to the first column, the one the others are compared with
+  function pinCompareItem(product) {
+    setCompareIds([product.id, ...compareIds.filter((id) => id !== product.id)]);
+  }
+
+  // Link that opens the comparison with the same products. Uses the system
+  // share sheet where there is one, else copies the link.
+  function shareComparison() {
+    const url = `${window.location.origin}${comparePath(compareIds)}`;
+    if (navigator.share) {
+      navigator.share({ title: 'VetFoodRx comparison', url }).catch(() => {});
+      return;
+    }
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setShareCopied(true))
+      .catch((err) => console.warn('Could not copy comparison link', err));
+  }
+
+  return (
+    <Box>
+      <AppBar 
+        position="static" 
+        sx={{ 
+          background: 'linear-gradient(135deg, var(--primary-green) 0%, var(--sage-green) 100%)',
+          boxShadow: '0 4px 20px rgba(45, 80, 22, 0.3)'
+        }}
+      >
+        <Toolbar sx={{ py: 1 }}>
+          <Box
+            component="a"
+            href={`/${listQuery}`}
+            onClick={(e) => {
+              e.preventDefault();
+              navigate(`/${listQuery}`);
+            }}
+            sx={{ display: 'flex', alignItems: 'center', flexGrow: 1, textDecoration: 'none' }}
+          >
+            <Box 
+              sx={{ 
+                width: 40, 
+                height: 40, 
                 backgroundColor: 'var(--warm-orange)', 
                 borderRadius: '50%', 
                 display: 'flex', 
@@ -170,6 +1342,34 @@ function App() {
               VetFoodRx
             </Typography>
           </Box>
+          <Tooltip title="Patients">
+            <IconButton
+              sx={{ color: 'white', mr: 1 }}
+              onClick={() => setPatientsOpen(true)}
+            >
+              <span className="material-icons">assignment_ind</span>
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Clinic formulary">
+            <IconButton
+              sx={{ color: 'white', mr: 1 }}
+              onClick={() => setFormularyOpen(true)}
+            >
+              <Badge badgeContent={Object.keys(formulary).length} color="warning">
+                <span className="material-icons">local_pharmacy</span>
+              </Badge>
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Price alerts">
+            <IconButton
+              sx={{ color: 'white', mr: 1 }}
+              onClick={() => setAlertsOpen(true)}
+            >
+              <Badge badgeContent={unreadAlerts} color="warning">
+                <span className="material-icons">notifications</span>
+              </Badge>
+            </IconButton>
+          </Tooltip>
           <Tooltip title="Compare selected products">
             <IconButton
               sx={{ 
@@ -181,384 +1381,535 @@ function App() {
                 transition: 'all 0.3s ease'
               }}
               disabled={compareItems.length === 0}
-              onClick={toggleCompare}
+              onClick={() => navigate(comparePath(compareIds))}
             >
-              <span className="material-icons">compare</span>
+              <Badge badgeContent={compareItems.length} color="warning">
+                <span className="material-icons">compare</span>
+              </Badge>
             </IconButton>
           </Tooltip>
         </Toolbar>
       </AppBar>
       <Container sx={{ py: 4, flexGrow: 1 }}>
-        {/* Filter section */}
-        <Box
-          component="section"
-          sx={{
-            mb: 4,
-            p: 3,
-            backgroundColor: 'var(--soft-white)',
-            borderRadius: 3,
-            boxShadow: 'var(--card-shadow)',
-            border: '1px solid var(--light-beige)',
-            '&:hover': {
-              boxShadow: 'var(--hover-shadow)',
-              transform: 'translateY(-2px)',
-              transition: 'all 0.3s ease'
-            }
-          }}
-        >
-          <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
-            <span className="material-icons" style={{ color: 'var(--sage-green)', marginRight: '8px', fontSize: '28px' }}>filter_list</span>
-            <Typography variant="h5" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
-              Find the Perfect Diet
-            </Typography>
-          </Box>
-          <Grid container spacing={2}>
-            <Grid item xs={12} sm={6} md={3}>
-              <FormControl fullWidth size="medium">
-                <InputLabel 
-                  sx={{ 
-                    color: 'var(--sage-green)',
-                    '&.Mui-focused': { color: 'var(--primary-green)' }
-                  }}
-                >
-                  Species
-                </InputLabel>
-                <Select
-                  value={speciesFilter}
-                  label="Species"
-                  onChange={(e) => setSpeciesFilter(e.target.value)}
-                  sx={{
-                    '& .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--light-beige)'
-                    },
-                    '&:hover .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--sage-green)'
-                    },
-                    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--primary-green)'
-                    }
-                  }}
-                >
-                  <MenuItem value="">Any Species</MenuItem>
-                  <MenuItem value="dog">🐕 Dog</MenuItem>
-                  <MenuItem value="cat">🐱 Cat</MenuItem>
-                </Select>
-              </FormControl>
-            </Grid>
-            <Grid item xs={12} sm={6} md={3}>
-              <FormControl fullWidth size="medium">
-                <InputLabel 
-                  sx={{ 
-                    color: 'var(--sage-green)',
-                    '&.Mui-focused': { color: 'var(--primary-green)' }
-                  }}
-                >
-                  Brand
-                </InputLabel>
-                <Select
-                  value={brandFilter}
-                  label="Brand"
-                  onChange={(e) => setBrandFilter(e.target.value)}
-                  sx={{
-                    '& .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--light-beige)'
-                    },
-                    '&:hover .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--sage-green)'
-                    },
-                    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--primary-green)'
-                    }
-                  }}
-                >
-                  <MenuItem value="">Any Brand</MenuItem>
-                  {brands.map((brand) => (
-                    <MenuItem key={brand} value={brand}>
-                      {brand}
-                    </MenuItem>
-                  ))}
-                </Select>
-              </FormControl>
-            </Grid>
-            <Grid item xs={12} sm={6} md={3}>
-              <FormControl fullWidth size="medium">
-                <InputLabel 
-                  sx={{ 
-                    color: 'var(--sage-green)',
-                    '&.Mui-focused': { color: 'var(--primary-green)' }
-                  }}
-                >
-                  Health Conditions
-                </InputLabel>
-                <Select
-                  multiple
-                  value={conditionsFilter}
-                  onChange={(e) => setConditionsFilter(e.target.value)}
-                  input={<OutlinedInput label="Health Conditions" />}
-                  renderValue={(selected) => (
-                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
-                      {selected.slice(0, 2).map((value) => (
-                        <Chip 
-                          key={value} 
-                          label={value} 
-                          size="small" 
-                          sx={{ 
-                            backgroundColor: 'var(--sage-green)', 
-                            color: 'white',
-                            fontSize: '0.7rem'
-                          }} 
-                        />
+        {route.view === 'compare' ? (
+          <ComparisonWorkspace
+            items={compareItems}
+            isLoading={products.length === 0}
+            onNavigate={navigate}
+            backPath={`/${listQuery}`}
+            onRemove={handleCompareToggle}
+            onPin={pinCompareItem}
+            onShare={shareComparison}
+            isShareCopied={isShareCopied}
+            viewOptions={compareView}
+            onViewOptionsChange={setCompareView}
+            nutrientBasis={nutrientBasis}
+            onNutrientBasisChange={setNutrientBasis}
+            showEstimates={showEstimates}
+            priceHistory={priceHistory}
+            formulary={formulary}
+            feedingProfile={feedingProfile}
+            onFeedingProfileChange={setFeedingProfile}
+          />
+        ) : route.view === 'product' ? (
+          <ProductDetail
+            product={detailProduct}
+            isLoading={products.length === 0}
+            related={detailProduct ? findRelatedProducts(detailProduct, products) : []}
+            onNavigate={navigate}
+            backPath={`/${listQuery}`}
+            selected={detailProduct && compareItems.find((item) => item.id === detailProduct.id)}
+            onToggle={() => handleCompareToggle(detailProduct)}
+            feedingProfile={feedingProfile}
+            onFeedingProfileChange={setFeedingProfile}
+            mer={dailyEnergy && dailyEnergy.mer}
+            showEstimates={showEstimates}
+            priceTrend={detailProduct ? getPriceTrend(priceHistory, detailProduct) : null}
+            patient={activePatient}
+            onSaveToPlan={(diet) => savePlanDiet(detailProduct, diet)}
+          />
+        ) : (
+          <>
+            {activePatient && (
+              <ActivePatientBar
+                patient={activePatient}
+                onApply={() => selectPatient(activePatient)}
+                onOpen={() => setPatientsOpen(true)}
+                onClear={() => setActivePatientId(null)}
+              />
+            )}
+            {/* Filter section */}
+            <Box
+              component="section"
+              sx={{
+                mb: 4,
+                p: 3,
+                backgroundColor: 'var(--soft-white)',
+                borderRadius: 3,
+                boxShadow: 'var(--card-shadow)',
+                border: '1px solid var(--light-beige)',
+                '&:hover': {
+                  boxShadow: 'var(--hover-shadow)',
+                  transform: 'translateY(-2px)',
+                  transition: 'all 0.3s ease'
+                }
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+                <span className="material-icons" style={{ color: 'var(--sage-green)', marginRight: '8px', fontSize: '28px' }}>filter_list</span>
+                <Typography variant="h5" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+                  Find the Perfect Diet
+                </Typography>
+              </Box>
+              <Grid container spacing={2}>
+                <Grid item xs={12} sm={6} md={3}>
+                  <FormControl fullWidth size="medium">
+                    <InputLabel 
+                      sx={{ 
+                        color: 'var(--sage-green)',
+                        '&.Mui-focused': { color: 'var(--primary-green)' }
+                      }}
+                    >
+                      Species
+                    </InputLabel>
+                    <Select
+                      value={speciesFilter}
+                      label="Species"
+                      onChange={(e) => setSpeciesFilter(e.target.value)}
+                      sx={{
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--light-beige)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--sage-green)'
+                        },
+                        '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--primary-green)'
+                        }
+                      }}
+                    >
+                      <MenuItem value="">Any Species</MenuItem>
+                      {[['dog', '🐕 Dog'], ['cat', '🐱 Cat']].map(([value, label]) => (
+                        <MenuItem
+                          key={value}
+                          value={value}
+                          disabled={facetCounts.species[value] === 0 && speciesFilter !== value}
+                        >
+                          {withCount(label, facetCounts.species[value])}
+                        </MenuItem>
                       ))}
-                      {selected.length > 2 && (
-                        <Chip 
-                          label={`+${selected.length - 2} more`} 
-                          size="small" 
-                          sx={{ 
-                            backgroundColor: 'var(--warm-orange)', 
-                            color: 'white',
-                            fontSize: '0.7rem'
-                          }} 
-                        />
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <FormControl fullWidth size="medium">
+                    <InputLabel 
+                      sx={{ 
+                        color: 'var(--sage-green)',
+                        '&.Mui-focused': { color: 'var(--primary-green)' }
+                      }}
+                    >
+                      Brand
+                    </InputLabel>
+                    <Select
+                      value={brandFilter}
+                      label="Brand"
+                      onChange={(e) => setBrandFilter(e.target.value)}
+                      sx={{
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--light-beige)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--sage-green)'
+                        },
+                        '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--primary-green)'
+                        }
+                      }}
+                    >
+                      <MenuItem value="">Any Brand</MenuItem>
+                      {brands.map((brand) => (
+                        <MenuItem
+                          key={brand}
+                          value={brand}
+                          disabled={facetCounts.brand[brand] === 0 && brandFilter !== brand}
+                        >
+                          {withCount(brand, facetCounts.brand[brand])}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <FormControl fullWidth size="medium">
+                    <InputLabel 
+                      sx={{ 
+                        color: 'var(--sage-green)',
+                        '&.Mui-focused': { color: 'var(--primary-green)' }
+                      }}
+                    >
+                      Health Conditions
+                    </InputLabel>
+                    <Select
+                      multiple
+                      value={conditionsFilter}
+                      onChange={(e) => setConditionsFilter(e.target.value)}
+                      input={<OutlinedInput label="Health Conditions" />}
+                      renderValue={(selected) => (
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                          {selected.slice(0, 2).map((value) => (
+                            <Chip 
+                              key={value} 
+                              label={conditionLabel(value)} 
+                              size="small" 
+                              sx={{ 
+                                backgroundColor: 'var(--sage-green)', 
+                                color: 'white',
+                                fontSize: '0.7rem'
+                              }} 
+                            />
+                          ))}
+                          {selected.length > 2 && (
+                            <Chip 
+                              label={`+${selected.length - 2} more`} 
+                              size="small" 
+                              sx={{ 
+                                backgroundColor: 'var(--warm-orange)', 
+                                color: 'white',
+                                fontSize: '0.7rem'
+                              }} 
+                            />
+                          )}
+                        </Box>
                       )}
-                    </Box>
-                  )}
-                  sx={{
-                    '& .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--light-beige)'
-                    },
-                    '&:hover .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--sage-green)'
-                    },
-                    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                      borderColor: 'var(--primary-green)'
-                    }
-                  }}
-                >
-                  {ALL_CONDITIONS.map((cond) => (
-                    <MenuItem key={cond} value={cond}>
-                      <Checkbox
-                        checked={conditionsFilter.indexOf(cond) > -1}
-                        sx={{
-                          color: 'var(--sage-green)',
-                          '&.Mui-checked': {
-                            color: 'var(--primary-green)'
-                          }
-                        }}
+                      sx={{
+                        '& .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--light-beige)'
+                        },
+                        '&:hover .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--sage-green)'
+                        },
+                        '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                          borderColor: 'var(--primary-green)'
+                        }
+                      }}
+                    >
+                      {CONDITIONS.map(({ id, label, parent }) => (
+                        <MenuItem
+                          key={id}
+                          value={id}
+                          disabled={facetCounts.conditions[id] === 0 && conditionsFilter.indexOf(id) === -1}
+                          sx={{ pl: parent ? 5 : 2 }}
+                        >
+                          <Checkbox
+                            checked={conditionsFilter.indexOf(id) > -1}
+                            sx={{
+                              color: 'var(--sage-green)',
+                              '&.Mui-checked': {
+                                color: 'var(--primary-green)'
+                              }
+                            }}
+                          />
+                          <ListItemText 
+                            primary={withCount(label, facetCounts.conditions[id])} 
+                            sx={{ 
+                              '& .MuiTypography-root': { 
+                                color: 'var(--dark-brown)'
+                              } 
+                            }} 
+                          />
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={6} md={3}>
+                  <TextField
+                    label="Search Products"
+                    value={searchTerm}
+                    size="medium"
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    fullWidth
+                    InputProps={{
+                      startAdornment: (
+                        <span className="material-icons" style={{ color: 'var(--sage-green)', marginRight: '8px' }}>search</span>
+                      )
+                    }}
+                    sx={{
+                      '& .MuiOutlinedInput-root': {
+                        '& fieldset': {
+                          borderColor: 'var(--light-beige)'
+                        },
+                        '&:hover fieldset': {
+                          borderColor: 'var(--sage-green)'
+                        },
+                        '&.Mui-focused fieldset': {
+                          borderColor: 'var(--primary-green)'
+                        }
+                      },
+                      '& .MuiInputLabel-root': {
+                        color: 'var(--sage-green)'
+                      },
+                      '& .MuiInputLabel-root.Mui-focused': {
+                        color: 'var(--primary-green)'
+                      }
+                    }}
+                  />
+                </Grid>
+                {ATTRIBUTE_FILTERS.map(({ field, label, anyLabel }) => (
+                  <Grid item xs={12} sm={6} md={3} key={field}>
+                    <FacetSelect
+                      label={label}
+                      anyLabel={anyLabel}
+                      value={attributeFilters[field]}
+                      onChange={(value) => setAttributeFilters((filters) => ({ ...filters, [field]: value }))}
+                      options={ATTRIBUTES[field].map((item) => ({
+                        value: item.id,
+                        label: item.label,
+                        count: facetCounts[field][item.id]
+                      }))}
+                    />
+                  </Grid>
+                ))}
+                <Grid item xs={12} sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 3 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="body2" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+                      Conditions
+                    </Typography>
+                    <ToggleButtonGroup
+                      size="small"
+                      exclusive
+                      value={conditionsMatch}
+                      onChange={(e, value) => value && setConditionsMatch(value)}
+                      sx={{ backgroundColor: 'var(--soft-white)' }}
+                    >
+                      <ToggleButton value="all" title="Show diets that target every selected condition">
+                        Match all
+                      </ToggleButton>
+                      <ToggleButton value="any" title="Show diets that target at least one selected condition">
+                        Match any
+                      </ToggleButton>
+                    </ToggleButtonGroup>
+                  </Box>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={formularyOnly}
+                        onChange={(e) => setFormularyOnly(e.target.checked)}
+                        disabled={formularyCount === 0 && !formularyOnly}
+                        color="success"
                       />
-                      <ListItemText 
-                        primary={cond} 
-                        sx={{ 
-                          '& .MuiTypography-root': { 
-                            textTransform: 'capitalize',
-                            color: 'var(--dark-brown)'
-                          } 
-                        }} 
+                    }
+                    label={withCount('Formulary only', formularyCount)}
+                    title="Show only diets on the clinic formulary"
+                    sx={{ color: 'var(--dark-brown)' }}
+                  />
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={showEstimates}
+                        onChange={(e) => setShowEstimates(e.target.checked)}
+                        color="success"
                       />
-                    </MenuItem>
-                  ))}
-                </Select>
-              </FormControl>
-            </Grid>
-            <Grid item xs={12} sm={6} md={3}>
-              <TextField
-                label="Search Products"
-                value={searchTerm}
-                size="medium"
-                onChange={(e) => setSearchTerm(e.target.value)}
-                fullWidth
-                InputProps={{
-                  startAdornment: (
-                    <span className="material-icons" style={{ color: 'var(--sage-green)', marginRight: '8px' }}>search</span>
-                  )
-                }}
-                sx={{
-                  '& .MuiOutlinedInput-root': {
-                    '& fieldset': {
-                      borderColor: 'var(--light-beige)'
-                    },
-                    '&:hover fieldset': {
-                      borderColor: 'var(--sage-green)'
-                    },
-                    '&.Mui-focused fieldset': {
-                      borderColor: 'var(--primary-green)'
                     }
-                  },
-                  '& .MuiInputLabel-root': {
-                    color: 'var(--sage-green)'
-                  },
-                  '& .MuiInputLabel-root.Mui-focused': {
-                    color: 'var(--primary-green)'
-                  }
-                }}
-              />
-            </Grid>
-          </Grid>
-        </Box>
+                    label="Show estimated prices for sizes without a retailer price"
+                    sx={{ color: 'var(--dark-brown)' }}
+                  />
+                </Grid>
+              </Grid>
+            </Box>
 
-        {/* Products grid */}
-        <Grid container spacing={3}>
-          {filtered.length === 0 && (
-            <Grid item xs={12}>
-              <Box sx={{ textAlign: 'center', py: 6, backgroundColor: 'var(--soft-white)', borderRadius: 3, boxShadow: 'var(--card-shadow)' }}>
-                <span className="material-icons" style={{ fontSize: '72px', color: 'var(--sage-green)', marginBottom: '16px', display: 'block' }}>search_off</span>
-                <Typography variant="h5" sx={{ color: 'var(--primary-green)', mb: 2, fontWeight: 600 }}>
-                  No products found
-                </Typography>
-                <Typography variant="body1" sx={{ color: 'var(--dark-brown)', mb: 2 }}>
-                  Try adjusting your filters or search terms to find the perfect diet for your pet.
-                </Typography>
-                <Typography variant="body2" sx={{ color: 'var(--sage-green)' }}>
-                  Our veterinary nutritionists have carefully curated these prescription diets to help manage various health conditions.
-                </Typography>
+            {/* Result count, export and sort order */}
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+              <Typography variant="body1" sx={{ color: 'var(--dark-brown)' }}>
+                {filtered.length} {filtered.length === 1 ? 'product' : 'products'}
+              </Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <ExportMenu products={filtered} name="diets" />
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                  <InputLabel sx={{ color: 'var(--sage-green)', '&.Mui-focused': { color: 'var(--primary-green)' } }}>
+                    Sort by
+                  </InputLabel>
+                  <Select
+                    value={sortOrder}
+                    label="Sort by"
+                    onChange={(e) => setSortOrder(e.target.value)}
+                    sx={{
+                      backgroundColor: 'var(--soft-white)',
+                      '& .MuiOutlinedInput-notchedOutline': { borderColor: 'var(--light-beige)' },
+                      '&.Mui-focused .MuiOutlinedInput-notchedOutline': { borderColor: 'var(--primary-green)' }
+                    }}
+                  >
+                    {SORT_OPTIONS.map((option) => (
+                      <MenuItem key={option.key} value={option.key}>{option.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
               </Box>
+            </Box>
+
+            {/* Products grid */}
+            <Grid container spacing={3}>
+              {filtered.length === 0 && (
+                <Grid item xs={12}>
+                  <Box sx={{ textAlign: 'center', py: 6, backgroundColor: 'var(--soft-white)', borderRadius: 3, boxShadow: 'var(--card-shadow)' }}>
+                    <span className="material-icons" style={{ fontSize: '72px', color: 'var(--sage-green)', marginBottom: '16px', display: 'block' }}>search_off</span>
+                    <Typography variant="h5" sx={{ color: 'var(--primary-green)', mb: 2, fontWeight: 600 }}>
+                      No products found
+                    </Typography>
+                    <Typography variant="body1" sx={{ color: 'var(--dark-brown)', mb: 2 }}>
+                      Try adjusting your filters or search terms to find the perfect diet for your pet.
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: 'var(--sage-green)' }}>
+                      Our veterinary nutritionists have carefully curated these prescription diets to help manage various health conditions.
+                    </Typography>
+                  </Box>
+                </Grid>
+              )}
+              {filtered.map((product) => (
+                <Grid item xs={12} sm={6} md={4} key={product.id}>
+                  <ProductCard
+                    product={product}
+                    selected={compareItems.find((item) => item.id === product.id)}
+                    onToggle={() => handleCompareToggle(product)}
+                    feedingProfile={feedingProfile}
+                    onFeedingProfileChange={setFeedingProfile}
+                    mer={dailyEnergy && dailyEnergy.mer}
+                    showEstimates={showEstimates}
+                    priceTrend={getPriceTrend(priceHistory, product)}
+                    watch={watches.find((watch) => watch.productId === product.id)}
+                    onWatch={(variant, targetPrice) => handleWatch(product, variant, targetPrice)}
+                    onUnwatch={handleUnwatch}
+                    formularyEntry={formulary[product.id]}
+                    onFormularyChange={(entry) => updateFormularyEntry(product.id, entry)}
+                    patient={activePatient}
+                    onSaveToPlan={(diet) => savePlanDiet(product, diet)}
+                    onOpen={() => navigate(productPath(product.id))}
+                    searchTerm={searchTerm}
+                  />
+                </Grid>
+              ))}
             </Grid>
-          )}
-          {filtered.map((product) => (
-            <Grid item xs={12} sm={6} md={4} key={product.id}>
-              <ProductCard
-                product={product}
-                selected={compareItems.find((item) => item.id === product.id)}
-                onToggle={() => handleCompareToggle(product)}
-              />
-            </Grid>
-          ))}
-        </Grid>
-        {/* Comparison dialog */}
-        <Dialog
-          open={isCompareOpen}
-          onClose={toggleCompare}
-          maxWidth="lg"
-          fullWidth
-          PaperProps={{
-            sx: {
-              borderRadius: 3,
-              backgroundColor: 'var(--soft-white)',
-              boxShadow: 'var(--hover-shadow)'
-            }
+          </>
+        )}
+        <PatientsDrawer
+          open={isPatientsOpen}
+          onClose={() => setPatientsOpen(false)}
+          patients={patients}
+          activePatient={activePatient}
+          products={products}
+          onSelect={selectPatient}
+          onNew={() => setEditingPatient({})}
+          onEdit={setEditingPatient}
+          onDelete={removePatient}
+          onRemoveDiet={(patient, productId) => savePatient(removePlanDiet(patient, productId))}
+          onNavigate={(path) => {
+            setPatientsOpen(false);
+            navigate(path);
           }}
-        >
-          <DialogTitle 
-            sx={{ 
-              backgroundColor: 'var(--primary-green)', 
-              color: 'white', 
-              display: 'flex', 
-              alignItems: 'center',
-              py: 2
-            }}
-          >
-            <span className="material-icons" style={{ marginRight: '12px', fontSize: '28px' }}>compare_arrows</span>
-            <Typography variant="h5" sx={{ fontWeight: 600 }}>
-              Product Comparison
-            </Typography>
-          </DialogTitle>
-          <DialogContent sx={{ p: 3, backgroundColor: 'var(--light-beige)' }}>
-            {compareItems.length === 0 ? (
-              <Box sx={{ textAlign: 'center', py: 4 }}>
-                <span className="material-icons" style={{ fontSize: '64px', color: 'var(--sage-green)', marginBottom: '16px', display: 'block' }}>compare</span>
-                <Typography variant="h6" sx={{ color: 'var(--primary-green)', mb: 1 }}>
-                  No products selected for comparison
-                </Typography>
-                <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
-                  Select products using the "Compare" button to see a side-by-side comparison
-                </Typography>
-              </Box>
+        />
+        <PatientDialog
+          patient={editingPatient}
+          onClose={() => setEditingPatient(null)}
+          onSave={handlePatientSave}
+        />
+        <FormularyDialog
+          open={isFormularyOpen}
+          onClose={() => setFormularyOpen(false)}
+          formulary={formulary}
+          onChange={setFormulary}
+          products={products}
+          onNavigate={(path) => {
+            setFormularyOpen(false);
+            navigate(path);
+          }}
+        />
+        {/* Price alerts panel */}
+        <Drawer anchor="right" open={isAlertsOpen} onClose={() => setAlertsOpen(false)}>
+          <Box sx={{ width: 340, p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+              <span className="material-icons" style={{ color: 'var(--primary-green)', marginRight: '8px' }}>notifications</span>
+              <Typography variant="h6" sx={{ color: 'var(--primary-green)', fontWeight: 600, flexGrow: 1 }}>
+                Price Alerts
+              </Typography>
+              <Button
+                size="small"
+                disabled={unreadAlerts === 0}
+                onClick={() => setAlerts((prev) => prev.map((alert) => ({ ...alert, read: true })))}
+              >
+                Mark read
+              </Button>
+            </Box>
+            {alerts.length === 0 ? (
+              <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
+                No alerts yet. Use the bell on a product card to watch it for a target price.
+              </Typography>
             ) : (
-              <Table size="medium" sx={{ backgroundColor: 'var(--soft-white)', borderRadius: 2, overflow: 'hidden' }}>
-                <TableHead>
-                  <TableRow sx={{ backgroundColor: 'var(--primary-green)' }}>
-                    <TableCell sx={{ color: 'white', fontWeight: 600, fontSize: '1rem' }}>Feature</TableCell>
-                    {compareItems.map((item) => (
-                      <TableCell key={item.id} align="center" sx={{ color: 'white', fontWeight: 600, fontSize: '1rem' }}>
-                        {item.name}
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                </TableHead>
-                <TableBody>
-                  {/* Brand */}
-                  <TableRow sx={{ '&:nth-of-type(odd)': { backgroundColor: 'var(--cream)' } }}>
-                    <TableCell sx={{ fontWeight: 600, color: 'var(--primary-green)' }}>Brand</TableCell>
-                    {compareItems.map((item) => (
-                      <TableCell key={item.id} align="center" sx={{ color: 'var(--dark-brown)' }}>
-                        {item.brand}
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                  {/* Species */}
-                  <TableRow>
-                    <TableCell>Species</TableCell>
-                    {compareItems.map((item) => (
-                      <TableCell key={item.id} align="center">
-                        {item.species}
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                  {/* Conditions */}
-                  <TableRow>
-                    <TableCell>Conditions</TableCell>
-                    {compareItems.map((item) => (
-                      <TableCell key={item.id} align="center">
-                        {item.targetedConditions.join(', ')}
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                  {/* Bag sizes */}
-                  <TableRow>
-                    <TableCell>Bag sizes</TableCell>
-                    {compareItems.map((item) => (
-                      <TableCell key={item.id} align="center">
-                        {item.bagSizes.join(', ')}
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                  {/* Price (show estimated price) */}
-                  <TableRow>
-                    <TableCell>Price* (approx.)</TableCell>
-                    {compareItems.map((item) => {
-                      const price = item.price;
-                      let displayPrice = 'N/A';
-                      
-                      if (price) {
-                        if (price.average) {
-                          displayPrice = `$${price.average.toFixed(2)}`;
-                        } else if (price.estimate) {
-                          displayPrice = `$${price.estimate.toFixed(2)}`;
-                        } else if (price.range) {
-                          displayPrice = price.range;
+              <List dense>
+                {alerts.map((alert) => (
+                  <ListItem
+                    key={alert.id}
+                    sx={{
+                      mb: 1,
+                      borderRadius: 2,
+                      backgroundColor: alert.read ? 'transparent' : 'var(--cream)'
+                    }}
+                  >
+                    <ListItemText
+                      primary={`${alert.productName} — ${formatCurrency(alert.price)}`}
+                      secondary={`${alert.variant || 'Any size'} · target ${formatCurrency(alert.targetPrice)} · ${new Date(alert.triggeredAt).toLocaleDateString()}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+            {watches.length > 0 && (
+              <>
+                <Typography variant="subtitle2" sx={{ color: 'var(--primary-green)', mt: 2, mb: 1 }}>
+                  Watching
+                </Typography>
+                <List dense>
+                  {watches.map((watch) => {
+                    const product = products.find((p) => p.id === watch.productId);
+                    return (
+                      <ListItem
+                        key={watch.id}
+                        secondaryAction={
+                          <IconButton edge="end" size="small" onClick={() => handleUnwatch(watch)}>
+                            <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+                          </IconButton>
                         }
-                      }
-                      
-                      return (
-                        <TableCell key={item.id} align="center">
-                          {displayPrice}
-                        </TableCell>
-                      );
-                    })}
-                  </TableRow>
-                  {/* Features */}
-                  <TableRow>
-                    <TableCell>Key features</TableCell>
-                    {compareItems.map((item) => (
-                      <TableCell key={item.id} align="left">
-                        <ul style={{ paddingLeft: '16px', margin: 0 }}>
-                          {item.features.slice(0, 3).map((feat, idx) => (
-                            <li key={idx} style={{ fontSize: '0.8rem' }}>{feat}</li>
-                          ))}
-                        </ul>
-                      </TableCell>
-                    ))}
-                  </TableRow>
-                </TableBody>
-              </Table>
+                      >
+                        <ListItemText
+                          primary={product ? product.name : watch.productId}
+                          secondary={`${watch.variant || 'Any size'} at or below ${formatCurrency(watch.targetPrice)}`}
+                        />
+                      </ListItem>
+                    );
+                  })}
+                </List>
+              </>
             )}
-            <Typography variant="caption" sx={{ mt: 2, display: 'block' }}>
-              *Prices are estimates based on available data from multiple retailers
-              and may vary by location and current promotions. Always check with
-              your veterinarian and preferred retailer for current pricing.
-            </Typography>
-          </DialogContent>
-        </Dialog>
+          </Box>
+        </Drawer>
       </Container>
+      <Snackbar
+        open={Boolean(compareNotice)}
+        autoHideDuration={6000}
+        onClose={() => setCompareNotice('')}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          severity="info"
+          action={
+            <Button color="inherit" size="small" onClick={() => { setCompareNotice(''); navigate(comparePath(compareIds)); }}>
+              Open comparison
+            </Button>
+          }
+        >
+          {compareNotice}
+        </Alert>
+      </Snackbar>
       
       {/* Footer */}
       <Box 
@@ -635,32 +1986,38 @@ function App() {
 }
 
 // Card component to display an individual product
-function ProductCard({ product, selected, onToggle }) {
+function ProductCard({
+  product,
+  selected,
+  onToggle,
+  feedingProfile,
+  onFeedingProfileChange,
+  mer,
+  showEstimates,
+  priceTrend,
+  watch,
+  onWatch,
+  onUnwatch,
+  formularyEntry,
+  onFormularyChange,
+  patient,
+  onSaveToPlan,
+  onOpen,
+  searchTerm
+}) {
   const [imageError, setImageError] = useState(false);
-  
-  // Create a fallback image based on product type and species
-  const getFallbackImage = () => {
-    const species = product.species === 'both' ? 'pet' : product.species;
-    const type = product.type || 'dry';
-    return `data:image/svg+xml;base64,${btoa(`
-      <svg width="200" height="160" xmlns="http://www.w3.org/2000/svg">
-        <rect width="200" height="160" fill="#F5E6D3"/>
-        <circle cx="100" cy="60" r="25" fill="#87A96B"/>
-        <text x="100" y="66" text-anchor="middle" fill="white" font-family="Arial" font-size="14" font-weight="bold">
-          ${species === 'dog' ? '🐕' : species === 'cat' ? '🐱' : '🐾'}
-        </text>
-        <text x="100" y="90" text-anchor="middle" fill="#3C2415" font-family="Arial" font-size="12">
-          ${product.brand.split(' ')[0]}
-        </text>
-        <text x="100" y="110" text-anchor="middle" fill="#2D5016" font-family="Arial" font-size="10">
-          ${type.toUpperCase()} FOOD
-        </text>
-        <text x="100" y="130" text-anchor="middle" fill="#87A96B" font-family="Arial" font-size="9">
-          ${species.toUpperCase()}
-        </text>
-      </svg>
-    `)}`;
-  };
+  const [isFeedingOpen, setFeedingOpen] = useState(false);
+  const [isWatchOpen, setWatchOpen] = useState(false);
+  const [isFormularyOpen, setFormularyOpen] = useState(false);
+  // Show the feature the search matched, if it was not the first one
+  const hasMatch = (text) => Boolean(searchTerm) && highlightMatches(text, searchTerm).some((part) => part.match);
+  const feature = product.features.find(hasMatch) || product.features[0];
+  const analysisFields = NUTRIENT_FIELDS.filter(
+    (field) => product.analysis && product.analysis[field.key]
+  );
+  const bestCost = calculateProductCosts(product, mer)[0];
+  const priceSummary = getPriceSummary(product, showEstimates);
+  const allergens = patient ? findAllergenMentions(product, patient.allergies) : [];
 
   return (
     <Card 
@@ -684,7 +2041,7 @@ function ProductCard({ product, selected, onToggle }) {
         <CardMedia
           component="img"
           height="180"
-          image={imageError ? getFallbackImage() : product.image}
+          image={imageError ? getFallbackImage(product) : product.image}
           alt={product.name}
           onError={() => setImageError(true)}
           sx={{ 
@@ -711,6 +2068,21 @@ function ProductCard({ product, selected, onToggle }) {
             }} 
           />
         )}
+        {formularyEntry && (
+          <Chip
+            label={formularyEntry.preferred ? 'PREFERRED' : 'FORMULARY'}
+            size="small"
+            sx={{
+              position: 'absolute',
+              top: 8,
+              left: 8,
+              backgroundColor: 'var(--primary-green)',
+              color: 'white',
+              fontWeight: 600,
+              fontSize: '0.7rem'
+            }}
+          />
+        )}
       </Box>
       
       <CardContent sx={{ flexGrow: 1, p: 2.5 }}>
@@ -724,7 +2096,7 @@ function ProductCard({ product, selected, onToggle }) {
               letterSpacing: '0.5px'
             }}
           >
-            {product.brand}
+            <Highlight text={product.brand} query={searchTerm} />
           </Typography>
         </Box>
         
@@ -737,7 +2109,7 @@ function ProductCard({ product, selected, onToggle }) {
             lineHeight: 1.3
           }}
         >
-          {product.name}
+          <Highlight text={product.name} query={searchTerm} />
         </Typography>
         
         <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
@@ -753,7 +2125,8 @@ function ProductCard({ product, selected, onToggle }) {
           {product.targetedConditions.slice(0, 3).map((cond) => (
             <Chip 
               key={cond} 
-              label={cond} 
+              label={<Highlight text={conditionLabel(cond)} query={searchTerm} />} 
+              title={describeConditionTag(product, cond)} 
               size="small" 
               sx={{ 
                 backgroundColor: 'var(--cream)', 
@@ -792,31 +2165,75 @@ function ProductCard({ product, selected, onToggle }) {
             overflow: 'hidden'
           }}
         >
-          {product.features[0]}
+          <Highlight text={feature} query={searchTerm} />
         </Typography>
-        
-        {product.price && (
-          <Box sx={{ mt: 'auto' }}>
-            <Typography 
-              variant="h6" 
-              sx={{ 
-                color: 'var(--warm-orange)', 
-                fontWeight: 700,
-                mb: 0.5
-              }}
-            >
-              {product.price.average 
-                ? `$${product.price.average.toFixed(2)}`
-                : product.price.estimate 
-                ? `~$${product.price.estimate.toFixed(2)}`
-                : product.price.range || 'Price varies'
-              }
-            </Typography>
-            <Typography variant="caption" sx={{ color: 'var(--sage-green)', fontWeight: 500 }}>
-              Estimated pricing
-            </Typography>
+
+        {allergens.length > 0 && (
+          <AllergenWarning allergens={allergens} patient={patient} />
+        )}
+
+        {analysisFields.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+            {analysisFields.map((field) => (
+              <Chip
+                key={field.key}
+                label={`${field.shortLabel} ${formatNutrient(product.analysis[field.key])}`}
+                size="small"
+                variant="outlined"
+                sx={{
+                  borderColor: 'var(--sage-green)',
+                  color: 'var(--dark-brown)',
+                  fontSize: '0.7rem'
+                }}
+              />
+            ))}
           </Box>
         )}
+
+        <Box sx={{ mt: 'auto' }}>
+          <Typography 
+            variant={priceSummary.status === 'unknown' ? 'subtitle1' : 'h6'}
+            sx={{ 
+              color: priceSummary.status === 'unknown' ? 'var(--sage-green)' : 'var(--warm-orange)', 
+              fontWeight: 700,
+              fontStyle: priceSummary.status === 'observed' ? 'normal' : 'italic',
+              mb: 0.5
+            }}
+          >
+            {priceSummary.text}
+          </Typography>
+          <Typography variant="caption" sx={{ color: 'var(--sage-green)', fontWeight: 500 }}>
+            {priceSummary.detail}
+          </Typography>
+          {formularyEntry && (
+            <Box sx={{ mt: 1, pl: 1, borderLeft: '3px solid var(--primary-green)' }}>
+              <Typography variant="body2" sx={{ color: 'var(--primary-green)', fontWeight: 700 }}>
+                Clinic: {formatClinicPrice(formularyEntry)}
+              </Typography>
+              <Typography variant="caption" sx={{ color: 'var(--dark-brown)', display: 'block' }}>
+                {describeFormularyStatus(formularyEntry)}
+              </Typography>
+              {formularyEntry.notes && (
+                <Typography variant="caption" sx={{ color: 'var(--sage-green)', fontStyle: 'italic', display: 'block' }}>
+                  {formularyEntry.notes}
+                </Typography>
+              )}
+            </Box>
+          )}
+          {bestCost && (
+            <Typography variant="body2" sx={{ color: 'var(--dark-brown)', mt: 0.5 }}>
+              {bestCost.perDay !== null
+                ? `${formatCurrency(bestCost.perDay)}/day · ${formatCurrency(bestCost.per30Days)}/30 days`
+                : `${formatCurrency(bestCost.per1000Kcal)} per 1000 kcal`}
+              {' '}({bestCost.size})
+            </Typography>
+          )}
+          {priceTrend && (
+            <Box sx={{ mt: 1 }}>
+              <PriceSparkline trend={priceTrend} width={160} height={32} />
+            </Box>
+          )}
+        </Box>
       </CardContent>
       
       <CardActions sx={{ justifyContent: 'space-between', px: 2.5, pb: 2.5 }}>
@@ -824,8 +2241,13 @@ function ProductCard({ product, selected, onToggle }) {
           size="medium"
           variant="outlined"
           component="a"
-          href={product.link}
-          target="_blank"
+          href={productPath(product.id)}
+          onClick={(e) => {
+            // Plain clicks stay in the app; modified clicks open a new tab
+            if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            onOpen();
+          }}
           sx={{
             borderColor: 'var(--sage-green)',
             color: 'var(--sage-green)',
@@ -839,6 +2261,32 @@ function ProductCard({ product, selected, onToggle }) {
         >
           View Details
         </Button>
+        <Box>
+          <Tooltip title="Daily feeding calculator">
+            <IconButton
+              onClick={() => setFeedingOpen(true)}
+              sx={{ color: 'var(--sage-green)', '&:hover': { color: 'var(--primary-green)' } }}
+            >
+              <span className="material-icons">calculate</span>
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={watch ? `Watching for ${formatCurrency(watch.targetPrice)}` : 'Watch price'}>
+            <IconButton
+              onClick={() => setWatchOpen(true)}
+              sx={{ color: watch ? 'var(--warm-orange)' : 'var(--sage-green)', '&:hover': { color: 'var(--primary-green)' } }}
+            >
+              <span className="material-icons">{watch ? 'notifications_active' : 'notification_add'}</span>
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={formularyEntry ? 'Edit formulary entry' : 'Add to clinic formulary'}>
+            <IconButton
+              onClick={() => setFormularyOpen(true)}
+              sx={{ color: formularyEntry ? 'var(--primary-green)' : 'var(--sage-green)', '&:hover': { color: 'var(--primary-green)' } }}
+            >
+              <span className="material-icons">local_pharmacy</span>
+            </IconButton>
+          </Tooltip>
+        </Box>
         <Button
           size="medium"
           variant={selected ? 'contained' : 'outlined'}
@@ -858,9 +2306,2208 @@ function ProductCard({ product, selected, onToggle }) {
           {selected ? 'Remove' : 'Compare'}
         </Button>
       </CardActions>
+      <FeedingCalculatorDialog
+        product={product}
+        profile={feedingProfile}
+        onProfileChange={onFeedingProfileChange}
+        patient={patient}
+        onSaveToPlan={onSaveToPlan}
+        open={isFeedingOpen}
+        onClose={() => setFeedingOpen(false)}
+      />
+      <WatchPriceDialog
+        product={product}
+        watch={watch}
+        open={isWatchOpen}
+        onClose={() => setWatchOpen(false)}
+        onWatch={onWatch}
+        onUnwatch={onUnwatch}
+      />
+      <FormularyEntryDialog
+        product={product}
+        entry={formularyEntry}
+        open={isFormularyOpen}
+        onClose={() => setFormularyOpen(false)}
+        onSave={onFormularyChange}
+      />
     </Card>
   );
 }
 
+// Save generated text as a file download. The object URL is released on
+// a later tick; revoking it straight after the click can cancel the download.
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export button for a list of products: CSV with a row per size, or JSON
+// in the products.json format. `name` goes into the file name.
+function ExportMenu({ products, name }) {
+  const [anchor, setAnchor] = useState(null);
+
+  function exportAs(format) {
+    const filename = `vetfoodrx-${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+      // The byte order mark makes Excel read the file as UTF-8
+      downloadFile(filename, `\uFEFF${productsToCsv(products)}`, 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(filename, productsToJson(products), 'application/json');
+    }
+    setAnchor(null);
+  }
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        onClick={(e) => setAnchor(e.currentTarget)}
+        disabled={products.length === 0}
+        sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+      >
+        <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>download</span>
+        Export
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+        <MenuItem onClick={() => exportAs('csv')}>
+          <ListItemText primary="CSV spreadsheet" secondary="One row per size and price" />
+        </MenuItem>
+        <MenuItem onClick={() => exportAs('json')}>
+          <ListItemText primary="JSON" secondary="Same format as products.json" />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
+
+// Single-choice filter with a count next to each option. Options that
+// would leave no products are disabled unless already selected.
+function FacetSelect({ label, anyLabel, value, onChange, options }) {
+  return (
+    <FormControl fullWidth size="medium">
+      <InputLabel
+        sx={{
+          color: 'var(--sage-green)',
+          '&.Mui-focused': { color: 'var(--primary-green)' }
+        }}
+      >
+        {label}
+      </InputLabel>
+      <Select
+        value={value}
+        label={label}
+        onChange={(e) => onChange(e.target.value)}
+        sx={{
+          '& .MuiOutlinedInput-notchedOutline': {
+            borderColor: 'var(--light-beige)'
+          },
+          '&:hover .MuiOutlinedInput-notchedOutline': {
+            borderColor: 'var(--sage-green)'
+          },
+          '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+            borderColor: 'var(--primary-green)'
+          }
+        }}
+      >
+        <MenuItem value="">{anyLabel}</MenuItem>
+        {options.map((option) => (
+          <MenuItem key={option.value} value={option.value} disabled={option.count === 0 && value !== option.value}>
+            {withCount(option.label, option.count)}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+}
+
+// Text with the words a search matched marked up
+function Highlight({ text, query }) {
+  if (!text || !query || !query.trim()) return text || null;
+  return highlightMatches(text, query).map((part, index) =>
+    part.match ? (
+      <mark
+        key={index}
+        style={{ backgroundColor: 'rgba(210, 105, 30, 0.25)', color: 'inherit', padding: 0, borderRadius: '2px' }}
+      >
+        {part.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{part.text}</React.Fragment>
+    )
+  );
+}
+
+// Card-styled section of the product detail view
+function DetailSection({ icon, title, children }) {
+  return (
+    <Box
+      component="section"
+      sx={{
+        mb: 3,
+        p: 3,
+        backgroundColor: 'var(--soft-white)',
+        borderRadius: 3,
+        boxShadow: 'var(--card-shadow)',
+        border: '1px solid var(--light-beige)'
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <span className="material-icons" style={{ color: 'var(--sage-green)', marginRight: '8px' }}>{icon}</span>
+        <Typography variant="h6" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+          {title}
+        </Typography>
+      </Box>
+      {children}
+    </Box>
+  );
+}
+
+// Full page for one product at /product/:id: description, features,
+// guaranteed analysis, every size with its price, feeding guide, retailer
+// link and related diets. Discontinued products still open so links in
+// old emails keep working.
+function ProductDetail({
+  product,
+  isLoading,
+  related,
+  onNavigate,
+  backPath,
+  selected,
+  onToggle,
+  feedingProfile,
+  onFeedingProfileChange,
+  mer,
+  showEstimates,
+  priceTrend,
+  patient,
+  onSaveToPlan
+}) {
+  const [imageError, setImageError] = useState(false);
+  const [isFeedingOpen, setFeedingOpen] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => {
+    setImageError(false);
+    setLinkCopied(false);
+  }, [product && product.id]);
+
+  const backButton = (
+    <Button
+      onClick={() => onNavigate(backPath)}
+      sx={{ color: 'var(--primary-green)', fontWeight: 600, mb: 2 }}
+    >
+      <span className="material-icons" style={{ marginRight: '4px' }}>arrow_back</span>
+      All diets
+    </Button>
+  );
+
+  if (!product) {
+    return (
+      <Box>
+        {backButton}
+        <Box sx={{ textAlign: 'center', py: 6, backgroundColor: 'var(--soft-white)', borderRadius: 3, boxShadow: 'var(--card-shadow)' }}>
+          <Typography variant="h5" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+            {isLoading ? 'Loading product…' : 'Product not found'}
+          </Typography>
+          {!isLoading && (
+            <Typography variant="body1" sx={{ color: 'var(--dark-brown)', mt: 2 }}>
+              This link does not match a diet in our database. Browse all diets to find it.
+            </Typography>
+          )}
+        </Box>
+      </Box>
+    );
+  }
+
+  const priceSummary = getPriceSummary(product, showEstimates);
+  const variants = getVariants(product);
+  const costs = calculateProductCosts(product, mer);
+  const analysisFields = NUTRIENT_FIELDS.filter((field) => product.analysis && product.analysis[field.key]);
+  const isDiscontinued = product.status === 'discontinued';
+  const allergens = patient ? findAllergenMentions(product, patient.allergies) : [];
+
+  function copyLink() {
+    const url = window.location.origin + productPath(product.id);
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setLinkCopied(true))
+      .catch((err) => console.warn('Could not copy link', err));
+  }
+
+  return (
+    <Box component="article">
+      {backButton}
+      {isDiscontinued && (
+        <Box sx={{ mb: 3, p: 2, borderRadius: 2, backgroundColor: 'var(--light-beige)', color: 'var(--dark-brown)' }}>
+          <Typography variant="body2">
+            This diet is no longer listed by the retailer
+            {product.discontinuedAt ? ` (since ${new Date(product.discontinuedAt).toLocaleDateString()})` : ''}. The details below
+            are from its last listing.
+          </Typography>
+        </Box>
+      )}
+
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={5}>
+          <Box sx={{ backgroundColor: 'var(--light-beige)', borderRadius: 3, overflow: 'hidden' }}>
+            <CardMedia
+              component="img"
+              height="320"
+              image={imageError ? getFallbackImage(product) : product.image}
+              alt={product.name}
+              onError={() => setImageError(true)}
+              sx={{ objectFit: 'contain' }}
+            />
+          </Box>
+        </Grid>
+        <Grid item xs={12} md={7}>
+          <Typography
+            variant="caption"
+            sx={{ color: 'var(--sage-green)', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.5px' }}
+          >
+            {product.brand}
+          </Typography>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 700, color: 'var(--primary-green)', mb: 1.5, lineHeight: 1.25 }}>
+            {product.name}
+          </Typography>
+          <Typography variant="body1" sx={{ color: 'var(--dark-brown)', mb: 2 }}>
+            {product.species === 'both' ? 'Dog & Cat' : product.species.charAt(0).toUpperCase() + product.species.slice(1)}
+            {product.type ? ` · ${attributeLabel('type', product.type)} food` : ''}
+            {['formats', 'lifeStages', 'sizeClasses'].map((field) =>
+              (product[field] || []).map((id) => ` · ${attributeLabel(field, id)}`).join('')
+            )}
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+            {product.targetedConditions.map((cond) => (
+              <Chip
+                key={cond}
+                label={conditionLabel(cond)}
+                title={describeConditionTag(product, cond)}
+                size="small"
+                sx={{ backgroundColor: 'var(--cream)', color: 'var(--primary-green)', fontWeight: 500 }}
+              />
+            ))}
+          </Box>
+          {product.description && (
+            <Typography variant="body1" sx={{ color: 'var(--dark-brown)', mb: 2, lineHeight: 1.6 }}>
+              {product.description}
+            </Typography>
+          )}
+          {allergens.length > 0 && (
+            <AllergenWarning allergens={allergens} patient={patient} />
+          )}
+          <Typography
+            variant={priceSummary.status === 'unknown' ? 'subtitle1' : 'h5'}
+            sx={{
+              color: priceSummary.status === 'unknown' ? 'var(--sage-green)' : 'var(--warm-orange)',
+              fontWeight: 700,
+              fontStyle: priceSummary.status === 'observed' ? 'normal' : 'italic'
+            }}
+          >
+            {priceSummary.text}
+          </Typography>
+          <Typography variant="caption" sx={{ color: 'var(--sage-green)', fontWeight: 500, display: 'block', mb: 1 }}>
+            {priceSummary.detail}
+          </Typography>
+          {priceTrend && (
+            <Box sx={{ mb: 2 }}>
+              <PriceSparkline trend={priceTrend} width={240} height={40} />
+            </Box>
+          )}
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {product.link && (
+              <Button
+                variant="contained"
+                component="a"
+                href={product.link}
+                target="_blank"
+                rel="noopener noreferrer"
+                sx={{ backgroundColor: 'var(--sage-green)', fontWeight: 600, '&:hover': { backgroundColor: 'var(--primary-green)' } }}
+              >
+                {product.retailer ? `View at ${product.retailer}` : 'View at retailer'}
+              </Button>
+            )}
+            <Button
+              variant={selected ? 'contained' : 'outlined'}
+              onClick={onToggle}
+              sx={{
+                backgroundColor: selected ? 'var(--warm-orange)' : 'transparent',
+                borderColor: 'var(--warm-orange)',
+                color: selected ? 'white' : 'var(--warm-orange)',
+                fontWeight: 600,
+                '&:hover': { backgroundColor: 'var(--terracotta)', borderColor: 'var(--terracotta)', color: 'white' }
+              }}
+            >
+              {selected ? 'Remove from compare' : 'Compare'}
+            </Button>
+            <Tooltip title="Copy a link to this page, e.g. for a discharge email">
+              <Button
+                variant="outlined"
+                onClick={copyLink}
+                sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+              >
+                <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>
+                  {linkCopied ? 'check' : 'link'}
+                </span>
+                {linkCopied ? 'Link copied' : 'Copy link'}
+              </Button>
+            </Tooltip>
+          </Box>
+        </Grid>
+      </Grid>
+
+      {product.features && product.features.length > 0 && (
+        <DetailSection icon="checklist" title="Features">
+          <Box component="ul" sx={{ m: 0, pl: 3, color: 'var(--dark-brown)' }}>
+            {product.features.map((feature) => (
+              <li key={feature}>
+                <Typography variant="body1" sx={{ mb: 0.5 }}>{feature}</Typography>
+              </li>
+            ))}
+          </Box>
+        </DetailSection>
+      )}
+
+      <DetailSection icon="science" title="Guaranteed analysis">
+        {analysisFields.length === 0 ? (
+          <Typography variant="body2" sx={{ color: 'var(--sage-green)' }}>
+            Guaranteed analysis not available for this product
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Nutrient</TableCell>
+                <TableCell align="right">As fed</TableCell>
+                <TableCell align="right">Dry matter</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {analysisFields.map((field) => {
+                const dryMatter = convertNutrient(product.analysis, field.key, 'dryMatter');
+                return (
+                  <TableRow key={field.key}>
+                    <TableCell>{field.label}</TableCell>
+                    <TableCell align="right">{formatNutrient(product.analysis[field.key])}</TableCell>
+                    <TableCell align="right">
+                      {CONVERTIBLE_NUTRIENTS.includes(field.key) && dryMatter !== null ? `${dryMatter.toFixed(1)}% DM` : '—'}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DetailSection>
+
+      <DetailSection icon="sell" title="Sizes & prices">
+        {variants.length === 0 ? (
+          <Typography variant="body2" sx={{ color: 'var(--sage-green)' }}>
+            No size information available
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Size</TableCell>
+                <TableCell align="right">Price</TableCell>
+                <TableCell align="right">Per 1000 kcal</TableCell>
+                {mer && <TableCell align="right">Per day</TableCell>}
+                <TableCell align="right">Availability</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {variants.map((variant) => {
+                const cost = costs.find((c) => c.size === formatVariant(variant));
+                return (
+                  <TableRow key={formatVariant(variant)}>
+                    <TableCell>{formatVariant(variant)}</TableCell>
+                    <TableCell align="right">{formatVariantPrice(variant, showEstimates)}</TableCell>
+                    <TableCell align="right">{cost ? formatCurrency(cost.per1000Kcal) : '—'}</TableCell>
+                    {mer && <TableCell align="right">{cost ? formatCurrency(cost.perDay) : '—'}</TableCell>}
+                    <TableCell align="right">
+                      {variant.availability === 'out-of-stock' ? 'Out of stock' : variant.availability === 'in-stock' ? 'In stock' : '—'}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DetailSection>
+
+      <DetailSection icon="restaurant" title="Feeding guide">
+        <Typography variant="body1" sx={{ color: 'var(--dark-brown)', mb: 2, lineHeight: 1.6 }}>
+          {product.feedingGuide || 'Consult your veterinarian for precise feeding amounts based on your pet\'s weight, age, and activity level.'}
+        </Typography>
+        <Button
+          variant="outlined"
+          onClick={() => setFeedingOpen(true)}
+          sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+        >
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>calculate</span>
+          Daily feeding calculator
+        </Button>
+      </DetailSection>
+
+      {related.length > 0 && (
+        <DetailSection icon="pets" title="Related diets">
+          <Grid container spacing={2}>
+            {related.map((item) => (
+              <Grid item xs={12} sm={6} md={3} key={item.id}>
+                <Card
+                  component="a"
+                  href={productPath(item.id)}
+                  onClick={(e) => {
+                    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+                    e.preventDefault();
+                    onNavigate(productPath(item.id));
+                  }}
+                  sx={{
+                    display: 'block',
+                    height: '100%',
+                    p: 2,
+                    textDecoration: 'none',
+                    backgroundColor: 'var(--cream)',
+                    borderRadius: 2,
+                    boxShadow: 'none',
+                    '&:hover': { boxShadow: 'var(--hover-shadow)' }
+                  }}
+                >
+                  <Typography variant="caption" sx={{ color: 'var(--sage-green)', fontWeight: 600, textTransform: 'uppercase' }}>
+                    {item.brand}
+                  </Typography>
+                  <Typography variant="body2" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+                    {item.name}
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'var(--dark-brown)' }}>
+                    {item.targetedConditions.map(conditionLabel).join(', ')}
+                  </Typography>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        </DetailSection>
+      )}
+
+      <FeedingCalculatorDialog
+        product={product}
+        profile={feedingProfile}
+        onProfileChange={onFeedingProfileChange}
+        patient={patient}
+        onSaveToPlan={onSaveToPlan}
+        open={isFeedingOpen}
+        onClose={() => setFeedingOpen(false)}
+      />
+    </Box>
+  );
+}
+
+// Pet details the daily energy estimate is calculated from
+function FeedingProfileFields({ profile, onChange }) {
+  const { species, weight, weightUnit, lifeStage, status } = profile;
+  const update = (field) => (e) => onChange({ ...profile, [field]: e.target.value });
+
+  return (
+    <Grid container spacing={2}>
+      <Grid item xs={12} sm={6}>
+        <FormControl fullWidth size="small">
+          <InputLabel>Species</InputLabel>
+          <Select value={species} label="Species" onChange={update('species')}>
+            <MenuItem value="dog">🐕 Dog</MenuItem>
+            <MenuItem value="cat">🐱 Cat</MenuItem>
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={8} sm={4}>
+        <TextField
+          label="Body weight"
+          type="number"
+          size="small"
+          value={weight}
+          onChange={update('weight')}
+          inputProps={{ min: 0, step: 0.1 }}
+          fullWidth
+        />
+      </Grid>
+      <Grid item xs={4} sm={2}>
+        <FormControl fullWidth size="small">
+          <Select value={weightUnit} onChange={update('weightUnit')}>
+            <MenuItem value="lb">lb</MenuItem>
+            <MenuItem value="kg">kg</MenuItem>
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <FormControl fullWidth size="small">
+          <InputLabel>Life stage</InputLabel>
+          <Select value={lifeStage} label="Life stage" onChange={update('lifeStage')}>
+            {LIFE_STAGES.map((stage) => (
+              <MenuItem key={stage.key} value={stage.key}>{stage.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <FormControl fullWidth size="small">
+          <InputLabel>Status</InputLabel>
+          <Select
+            value={status}
+            label="Status"
+            onChange={update('status')}
+            disabled={lifeStage === 'growth'}
+          >
+            {ENERGY_STATUSES.map((option) => (
+              <MenuItem key={option.key} value={option.key}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Grid>
+    </Grid>
+  );
+}
+
+// Daily feeding calculator for one product. With an active patient, the
+// amount can be saved to the patient's diet plan with transition notes.
+function FeedingCalculatorDialog({ product, profile, onProfileChange, patient, onSaveToPlan, open, onClose }) {
+  const { weight } = profile;
+  const [transition, setTransition] = useState('');
+
+  const energy = calculateDailyEnergy(profile);
+  const amounts = energy ? calculateFeedingAmounts(product.analysis, energy.mer) : {};
+  const hasAmounts = Object.keys(amounts).length > 0;
+  const costs = calculateProductCosts(product, energy && energy.mer);
+  const plannedDiet = patient && patient.plan.find((diet) => diet.productId === product.id);
+
+  // Start from the product's species the first time a pet is entered
+  useEffect(() => {
+    if (open && !weight && (product.species === 'dog' || product.species === 'cat')) {
+      onProfileChange({ ...profile, species: product.species });
+    }
+    if (open) setTransition(plannedDiet ? plannedDiet.transition : '');
+  }, [open]);
+
+  function saveToPlan() {
+    onSaveToPlan({
+      dailyAmount: hasAmounts ? `${formatFeedingAmounts(amounts)} (${Math.round(energy.mer)} kcal)` : '',
+      transition
+    });
+    onClose();
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: 3, backgroundColor: 'var(--soft-white)' } }}
+    >
+      <DialogTitle
+        sx={{
+          backgroundColor: 'var(--primary-green)',
+          color: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          py: 2
+        }}
+      >
+        <span className="material-icons" style={{ marginRight: '12px' }}>calculate</span>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Daily Feeding Calculator
+        </Typography>
+      </DialogTitle>
+      <DialogContent sx={{ p: 3 }}>
+        <Typography variant="subtitle2" sx={{ color: 'var(--primary-green)', mt: 2, mb: 2 }}>
+          {product.name}
+        </Typography>
+        <FeedingProfileFields profile={profile} onChange={onProfileChange} />
+
+        {energy && (
+          <Box sx={{ mt: 3, p: 2, borderRadius: 2, backgroundColor: 'var(--cream)' }}>
+            <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
+              RER: {Math.round(energy.rer)} kcal/day · MER (×{energy.factor}): {Math.round(energy.mer)} kcal/day
+            </Typography>
+            {hasAmounts ? (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1.5 }}>
+                {amounts.cups !== undefined && (
+                  <Chip label={`${amounts.cups.toFixed(2)} cups/day`} sx={{ backgroundColor: 'var(--warm-orange)', color: 'white', fontWeight: 600 }} />
+                )}
+                {amounts.cans !== undefined && (
+                  <Chip label={`${amounts.cans.toFixed(2)} cans/day`} sx={{ backgroundColor: 'var(--warm-orange)', color: 'white', fontWeight: 600 }} />
+                )}
+                {amounts.grams !== undefined && (
+                  <Chip label={`${Math.round(amounts.grams)} g/day`} sx={{ backgroundColor: 'var(--sage-green)', color: 'white', fontWeight: 600 }} />
+                )}
+              </Box>
+            ) : (
+              <Typography variant="body2" sx={{ color: 'var(--terracotta)', mt: 1 }}>
+                Calorie content is not available for this product. Divide the MER by the
+                kcal per cup or can printed on the label.
+              </Typography>
+            )}
+            {costs.length > 0 && (
+              <Table size="small" sx={{ mt: 2 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Size</TableCell>
+                    <TableCell align="right">Price</TableCell>
+                    <TableCell align="right">Per day</TableCell>
+                    <TableCell align="right">Per 30 days</TableCell>
+                    <TableCell align="right">Per 1000 kcal</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {costs.map((cost) => (
+                    <TableRow key={cost.size}>
+                      <TableCell>{cost.size}</TableCell>
+                      <TableCell align="right">{formatCurrency(cost.price)}</TableCell>
+                      <TableCell align="right">{formatCurrency(cost.perDay)}</TableCell>
+                      <TableCell align="right">{formatCurrency(cost.per30Days)}</TableCell>
+                      <TableCell align="right">{formatCurrency(cost.per1000Kcal)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Box>
+        )}
+
+        <Typography variant="caption" sx={{ display: 'block', mt: 2, color: 'var(--dark-brown)' }}>
+          {product.feedingGuide ||
+            'Consult your veterinarian for precise feeding amounts based on your pet\'s weight, age, and activity level.'}
+          {' '}Calculated amounts are a starting point; adjust to maintain ideal body condition.
+        </Typography>
+
+        {patient && (
+          <TextField
+            label={`Transition notes for ${patient.name}`}
+            size="small"
+            value={transition}
+            onChange={(e) => setTransition(e.target.value)}
+            placeholder="e.g. 25% new food for 3 days, then 50% and 75%, then all new"
+            multiline
+            minRows={2}
+            fullWidth
+            sx={{ mt: 3 }}
+          />
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        {patient && (
+          <Button
+            variant="contained"
+            onClick={saveToPlan}
+            sx={{ backgroundColor: 'var(--primary-green)', fontWeight: 600, mr: 'auto' }}
+          >
+            <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>playlist_add</span>
+            {plannedDiet ? `Update ${patient.name}'s plan` : `Save to ${patient.name}'s plan`}
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// Dialog for watching a product, optionally one size, for a target price
+function WatchPriceDialog({ product, watch, open, onClose, onWatch, onUnwatch }) {
+  const pricedVariants = getVariants(product).filter((variant) => typeof variant.price === 'number');
+  const [variant, setVariant] = useState(watch ? watch.variant || '' : '');
+  const [targetPrice, setTargetPrice] = useState(watch ? String(watch.targetPrice) : '');
+
+  const currentPrice = getWatchPrice(product, { variant: variant || null });
+  const isValid = parseFloat(targetPrice) > 0;
+
+  const handleSave = () => {
+    onWatch(variant || null, targetPrice);
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: 3, backgroundColor: 'var(--soft-white)' } }}
+    >
+      <DialogTitle sx={{ backgroundColor: 'var(--primary-green)', color: 'white', display: 'flex', alignItems: 'center' }}>
+        <span className="material-icons" style={{ marginRight: '12px' }}>notification_add</span>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Watch Price
+        </Typography>
+      </DialogTitle>
+      <DialogContent sx={{ p: 3 }}>
+        <Typography variant="subtitle2" sx={{ color: 'var(--primary-green)', mt: 2, mb: 2 }}>
+          {product.name}
+        </Typography>
+        <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+          <InputLabel>Size</InputLabel>
+          <Select value={variant} label="Size" onChange={(e) => setVariant(e.target.value)}>
+            <MenuItem value="">Any size (cheapest)</MenuItem>
+            {pricedVariants.map((v) => (
+              <MenuItem key={formatVariant(v)} value={formatVariant(v)}>
+                {formatVariant(v)} — {formatCurrency(v.price)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Alert me at or below ($)"
+          type="number"
+          size="small"
+          value={targetPrice}
+          onChange={(e) => setTargetPrice(e.target.value)}
+          inputProps={{ min: 0, step: 0.01 }}
+          fullWidth
+          helperText={currentPrice !== null ? `Current price: ${formatCurrency(currentPrice)}` : 'No current price for this size'}
+        />
+        <Typography variant="caption" sx={{ display: 'block', mt: 2, color: 'var(--dark-brown)' }}>
+          Prices are checked after each weekly update. Allow notifications to be alerted
+          outside the app.
+        </Typography>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        {watch && (
+          <Button
+            onClick={() => {
+              onUnwatch(watch);
+              onClose();
+            }}
+            sx={{ color: 'var(--terracotta)', mr: 'auto' }}
+          >
+            Stop watching
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ color: 'var(--dark-brown)' }}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          disabled={!isValid}
+          onClick={handleSave}
+          sx={{ backgroundColor: 'var(--warm-orange)', '&:hover': { backgroundColor: 'var(--terracotta)' } }}
+        >
+          Watch
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// Editable copy of a formulary entry; the price is kept as typed
+function formularyDraft(entry) {
+  const base = entry || { inStock: true, price: null, size: '', preferred: false, notes: '' };
+  return { ...base, price: typeof base.price === 'number' ? String(base.price) : '' };
+}
+
+// Add a product to the clinic formulary or edit its entry. Sizes come from
+// the product's retail sizes, shown with their retail price for reference.
+function FormularyEntryDialog({ product, entry, open, onClose, onSave }) {
+  const [draft, setDraft] = useState(() => formularyDraft(entry));
+
+  // Start from the saved entry each time the dialog opens
+  useEffect(() => {
+    if (open) setDraft(formularyDraft(entry));
+  }, [open]);
+
+  const sizes = getVariants(product).map((variant) => ({
+    label: formatVariant(variant),
+    retail: formatVariantPrice(variant, true)
+  }));
+  if (draft.size && !sizes.some((size) => size.label === draft.size)) {
+    sizes.push({ label: draft.size, retail: null });
+  }
+  const isValid = draft.price === '' || parseFloat(draft.price) >= 0;
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const handleSave = () => {
+    onSave({ ...draft, price: draft.price === '' ? null : parseFloat(draft.price) });
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: 3, backgroundColor: 'var(--soft-white)' } }}
+    >
+      <DialogTitle sx={{ backgroundColor: 'var(--primary-green)', color: 'white', display: 'flex', alignItems: 'center' }}>
+        <span className="material-icons" style={{ marginRight: '12px' }}>local_pharmacy</span>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          {entry ? 'Formulary Entry' : 'Add to Formulary'}
+        </Typography>
+      </DialogTitle>
+      <DialogContent sx={{ p: 3 }}>
+        <Typography variant="subtitle2" sx={{ color: 'var(--primary-green)', mt: 2, mb: 2 }}>
+          {product.name}
+        </Typography>
+        <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+          <InputLabel>Size</InputLabel>
+          <Select value={draft.size} label="Size" onChange={(e) => update({ size: e.target.value })}>
+            <MenuItem value="">Not specified</MenuItem>
+            {sizes.map((size) => (
+              <MenuItem key={size.label} value={size.label}>
+                {size.retail ? `${size.label} — retail ${size.retail}` : size.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Clinic price ($)"
+          type="number"
+          size="small"
+          value={draft.price}
+          onChange={(e) => update({ price: e.target.value })}
+          inputProps={{ min: 0, step: 0.01 }}
+          error={!isValid}
+          helperText="Leave empty if the clinic has not set a price"
+          fullWidth
+          sx={{ mb: 1 }}
+        />
+        <FormControlLabel
+          control={<Switch checked={draft.inStock} onChange={(e) => update({ inStock: e.target.checked })} color="success" />}
+          label="In stock at the clinic"
+          sx={{ color: 'var(--dark-brown)', display: 'flex' }}
+        />
+        <FormControlLabel
+          control={<Switch checked={draft.preferred} onChange={(e) => update({ preferred: e.target.checked })} color="success" />}
+          label="Preferred diet"
+          sx={{ color: 'var(--dark-brown)', display: 'flex', mb: 1 }}
+        />
+        <TextField
+          label="Internal notes"
+          size="small"
+          value={draft.notes}
+          onChange={(e) => update({ notes: e.target.value })}
+          multiline
+          minRows={2}
+          fullWidth
+          helperText="Shown to clinic staff only, never on client handouts"
+        />
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        {entry && (
+          <Button
+            onClick={() => {
+              onSave(null);
+              onClose();
+            }}
+            sx={{ color: 'var(--terracotta)', mr: 'auto' }}
+          >
+            Remove from formulary
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ color: 'var(--dark-brown)' }}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          disabled={!isValid}
+          onClick={handleSave}
+          sx={{ backgroundColor: 'var(--primary-green)', fontWeight: 600 }}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// The whole formulary: what the clinic stocks, with import and export so
+// one list can be shared between the clinic's devices
+function FormularyDialog({ open, onClose, formulary, onChange, products, onNavigate }) {
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (open) setMessage(null);
+  }, [open]);
+
+  const entries = Object.keys(formulary)
+    .map((id) => ({ id, entry: formulary[id], product: products.find((p) => p.id === id) }))
+    .sort((a, b) => (b.entry.preferred - a.entry.preferred)
+      || (a.product ? a.product.name : a.id).localeCompare(b.product ? b.product.name : b.id));
+
+  function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { entries: imported, skipped } = readFormulary(JSON.parse(reader.result));
+        onChange({ ...formulary, ...imported });
+        const count = Object.keys(imported).length;
+        const unknown = Object.keys(imported).filter((id) => !products.some((p) => p.id === id)).length;
+        setMessage({
+          severity: skipped.length > 0 || unknown > 0 ? 'warning' : 'success',
+          text: [
+            `Imported ${count} ${count === 1 ? 'diet' : 'diets'}.`,
+            unknown > 0 ? `${unknown} ${unknown === 1 ? 'is' : 'are'} not in the current product list.` : null,
+            skipped.length > 0 ? `Skipped invalid entries: ${skipped.join(', ')}.` : null
+          ].filter(Boolean).join(' ')
+        });
+      } catch (err) {
+        setMessage({ severity: 'error', text: err instanceof SyntaxError ? 'This file is not valid JSON.' : err.message });
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  function exportFile() {
+    const filename = `vetfoodrx-formulary-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadFile(filename, formularyToJson(formulary), 'application/json');
+  }
+
+  function clearAll() {
+    if (window.confirm('Remove every diet from the formulary on this device?')) onChange({});
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: 3, backgroundColor: 'var(--soft-white)' } }}
+    >
+      <DialogTitle sx={{ backgroundColor: 'var(--primary-green)', color: 'white', display: 'flex', alignItems: 'center' }}>
+        <span className="material-icons" style={{ marginRight: '12px' }}>local_pharmacy</span>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Clinic Formulary
+        </Typography>
+      </DialogTitle>
+      <DialogContent sx={{ p: 3 }}>
+        <Typography variant="body2" sx={{ color: 'var(--dark-brown)', mt: 2, mb: 2 }}>
+          Diets the clinic stocks, with its shelf prices. Add or edit a diet with the pharmacy button on its card.
+          The formulary is saved on this device; export it to move it to another one.
+        </Typography>
+        {message && (
+          <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mb: 2 }}>
+            {message.text}
+          </Alert>
+        )}
+        {entries.length === 0 ? (
+          <Typography variant="body2" sx={{ color: 'var(--sage-green)', textAlign: 'center', py: 3 }}>
+            No diets on the formulary yet.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 600, color: 'var(--primary-green)' }}>Diet</TableCell>
+                <TableCell sx={{ fontWeight: 600, color: 'var(--primary-green)' }}>Clinic price</TableCell>
+                <TableCell sx={{ fontWeight: 600, color: 'var(--primary-green)' }}>Status</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map(({ id, entry, product }) => (
+                <TableRow key={id}>
+                  <TableCell>
+                    {product ? (
+                      <Box
+                        component="a"
+                        href={productPath(id)}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          onNavigate(productPath(id));
+                        }}
+                        sx={{ color: 'var(--primary-green)', fontWeight: 600, textDecoration: 'none' }}
+                      >
+                        {product.name}
+                      </Box>
+                    ) : (
+                      <Typography variant="body2" sx={{ color: 'var(--sage-green)' }}>
+                        {id} (not in the product list)
+                      </Typography>
+                    )}
+                    {entry.notes && (
+                      <Typography variant="caption" sx={{ display: 'block', color: 'var(--sage-green)', fontStyle: 'italic' }}>
+                        {entry.notes}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{formatClinicPrice(entry)}</TableCell>
+                  <TableCell>{describeFormularyStatus(entry)}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Remove from formulary">
+                      <IconButton size="small" onClick={() => onChange(setFormularyEntry(formulary, id, null))}>
+                        <span className="material-icons" style={{ fontSize: '18px' }}>delete</span>
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button
+          onClick={clearAll}
+          disabled={entries.length === 0}
+          sx={{ color: 'var(--terracotta)', mr: 'auto' }}
+        >
+          Clear formulary
+        </Button>
+        <Button component="label" variant="outlined" sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}>
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>upload</span>
+          Import
+          <input type="file" accept="application/json,.json" hidden onChange={importFile} />
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={exportFile}
+          disabled={entries.length === 0}
+          sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+        >
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>download</span>
+          Export
+        </Button>
+        <Button onClick={onClose} sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// Warning that a diet mentions one of the active patient's allergies
+function AllergenWarning({ allergens, patient }) {
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 0.5, mb: 2, color: 'var(--terracotta)' }}>
+      <span className="material-icons" style={{ fontSize: '18px' }}>warning</span>
+      <Typography variant="body2" sx={{ color: 'var(--terracotta)' }}>
+        Mentions {allergens.join(', ')}, listed in {patient.name}'s allergies. Check the full ingredient list.
+      </Typography>
+    </Box>
+  );
+}
+
+// The patient the list is being browsed for, above the filters
+function ActivePatientBar({ patient, onApply, onOpen, onClear }) {
+  return (
+    <Box
+      sx={{
+        mb: 3,
+        p: 2,
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 2,
+        backgroundColor: 'var(--cream)',
+        borderRadius: 3,
+        border: '1px solid var(--light-beige)'
+      }}
+    >
+      <span className="material-icons" style={{ color: 'var(--primary-green)' }}>assignment_ind</span>
+      <Box sx={{ flexGrow: 1 }}>
+        <Typography variant="subtitle1" sx={{ color: 'var(--primary-green)', fontWeight: 700 }}>
+          {patient.name}
+          <Typography component="span" variant="body2" sx={{ color: 'var(--dark-brown)', ml: 1 }}>
+            {describePatient(patient)}
+          </Typography>
+        </Typography>
+        <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
+          {patient.conditions.length > 0 ? patient.conditions.map(conditionLabel).join(', ') : 'No diagnosed conditions'}
+          {patient.allergies.length > 0 ? ` · Allergies: ${patient.allergies.join(', ')}` : ''}
+        </Typography>
+      </Box>
+      <Button
+        variant="outlined"
+        size="small"
+        onClick={onApply}
+        sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+      >
+        Use for filters
+      </Button>
+      <Button size="small" onClick={onOpen} sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+        Diet plan ({patient.plan.length})
+      </Button>
+      <Tooltip title="Stop browsing for this patient">
+        <IconButton size="small" onClick={onClear}>
+          <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+        </IconButton>
+      </Tooltip>
+    </Box>
+  );
+}
+
+// Saved patients, and the active patient's diet plan
+function PatientsDrawer({
+  open,
+  onClose,
+  patients,
+  activePatient,
+  products,
+  onSelect,
+  onNew,
+  onEdit,
+  onDelete,
+  onRemoveDiet,
+  onNavigate
+}) {
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: 360, p: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <span className="material-icons" style={{ color: 'var(--primary-green)', marginRight: '8px' }}>assignment_ind</span>
+          <Typography variant="h6" sx={{ color: 'var(--primary-green)', fontWeight: 600, flexGrow: 1 }}>
+            Patients
+          </Typography>
+          <Button size="small" onClick={onNew}>
+            New patient
+          </Button>
+        </Box>
+        {patients.length === 0 ? (
+          <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
+            No patients yet. A patient's species and conditions set the filters, and its weight fills in the
+            feeding calculator. Profiles are saved on this device only.
+          </Typography>
+        ) : (
+          <List dense>
+            {patients.map((patient) => (
+              <ListItem
+                key={patient.id}
+                disablePadding
+                sx={{
+                  mb: 1,
+                  borderRadius: 2,
+                  backgroundColor: activePatient && activePatient.id === patient.id ? 'var(--cream)' : 'transparent'
+                }}
+                secondaryAction={
+                  <>
+                    <IconButton size="small" onClick={() => onEdit(patient)}>
+                      <span className="material-icons" style={{ fontSize: '18px' }}>edit</span>
+                    </IconButton>
+                    <IconButton
+                      edge="end"
+                      size="small"
+                      onClick={() => {
+                        if (window.confirm(`Delete ${patient.name}'s profile and diet plan from this device?`)) onDelete(patient);
+                      }}
+                    >
+                      <span className="material-icons" style={{ fontSize: '18px' }}>delete</span>
+                    </IconButton>
+                  </>
+                }
+              >
+                <ListItemButton onClick={() => onSelect(patient)} sx={{ borderRadius: 2 }}>
+                  <ListItemText primary={patient.name} secondary={describePatient(patient)} />
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        )}
+        {activePatient && (
+          <>
+            <Typography variant="subtitle2" sx={{ color: 'var(--primary-green)', mt: 2, mb: 1 }}>
+              {activePatient.name}'s diet plan
+            </Typography>
+            {activePatient.plan.length === 0 ? (
+              <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
+                Open a diet's feeding calculator to save it to this plan with its daily amount.
+              </Typography>
+            ) : (
+              <List dense>
+                {activePatient.plan.map((diet) => {
+                  const product = products.find((p) => p.id === diet.productId);
+                  return (
+                    <ListItem
+                      key={diet.productId}
+                      alignItems="flex-start"
+                      secondaryAction={
+                        <IconButton edge="end" size="small" onClick={() => onRemoveDiet(activePatient, diet.productId)}>
+                          <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+                        </IconButton>
+                      }
+                    >
+                      <ListItemText
+                        primary={product ? (
+                          <Box
+                            component="a"
+                            href={productPath(diet.productId)}
+                            onClick={(e) => {
+                              e.preventDefault();
+                              onNavigate(productPath(diet.productId));
+                            }}
+                            sx={{ color: 'var(--primary-green)', fontWeight: 600, textDecoration: 'none' }}
+                          >
+                            {product.name}
+                          </Box>
+                        ) : diet.productId}
+                        secondary={
+                          <>
+                            <Box component="span" sx={{ display: 'block' }}>
+                              {diet.dailyAmount || 'Enter a pet weight in the feeding calculator for a daily amount'}
+                            </Box>
+                            {diet.transition && (
+                              <Box component="span" sx={{ display: 'block', fontStyle: 'italic' }}>
+                                {diet.transition}
+                              </Box>
+                            )}
+                          </>
+                        }
+                      />
+                    </ListItem>
+                  );
+                })}
+              </List>
+            )}
+          </>
+        )}
+      </Box>
+    </Drawer>
+  );
+}
+
+const NEW_PATIENT = {
+  name: '',
+  species: 'dog',
+  weight: '',
+  weightUnit: 'lb',
+  lifeStage: 'adult',
+  status: 'neutered',
+  bodyConditionScore: null,
+  conditions: [],
+  allergies: [],
+  plan: []
+};
+
+// Create or edit a patient profile. `patient` is null when closed and {}
+// for a new patient.
+function PatientDialog({ patient, onClose, onSave }) {
+  const [draft, setDraft] = useState({ ...NEW_PATIENT, allergiesText: '' });
+
+  useEffect(() => {
+    if (patient) {
+      const current = { ...NEW_PATIENT, ...patient };
+      setDraft({ ...current, allergiesText: current.allergies.join(', ') });
+    }
+  }, [patient]);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+  const isNew = Boolean(patient) && !patient.id;
+
+  const handleSave = () => {
+    const { allergiesText, ...rest } = draft;
+    onSave({ ...rest, allergies: parseAllergies(allergiesText) });
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={Boolean(patient)}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: 3, backgroundColor: 'var(--soft-white)' } }}
+    >
+      <DialogTitle sx={{ backgroundColor: 'var(--primary-green)', color: 'white', display: 'flex', alignItems: 'center' }}>
+        <span className="material-icons" style={{ marginRight: '12px' }}>assignment_ind</span>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          {isNew ? 'New Patient' : 'Edit Patient'}
+        </Typography>
+      </DialogTitle>
+      <DialogContent sx={{ p: 3 }}>
+        <TextField
+          label="Pet name"
+          size="small"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          required
+          fullWidth
+          sx={{ mt: 2, mb: 2 }}
+        />
+        <FeedingProfileFields
+          profile={draft}
+          onChange={({ species, weight, weightUnit, lifeStage, status }) => update({ species, weight, weightUnit, lifeStage, status })}
+        />
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Body condition score</InputLabel>
+              <Select
+                value={draft.bodyConditionScore || ''}
+                label="Body condition score"
+                onChange={(e) => update({ bodyConditionScore: e.target.value || null })}
+              >
+                <MenuItem value="">Not recorded</MenuItem>
+                {BODY_CONDITION_SCORES.map(({ score, label }) => (
+                  <MenuItem key={score} value={score}>{score}/9 · {label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Diagnosed conditions</InputLabel>
+              <Select
+                multiple
+                value={draft.conditions}
+                onChange={(e) => update({ conditions: e.target.value })}
+                input={<OutlinedInput label="Diagnosed conditions" />}
+                renderValue={(selected) => selected.map(conditionLabel).join(', ')}
+              >
+                {CONDITIONS.map(({ id, label, parent }) => (
+                  <MenuItem key={id} value={id} sx={{ pl: parent ? 5 : 2 }}>
+                    <Checkbox checked={draft.conditions.includes(id)} size="small" />
+                    <ListItemText primary={label} />
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="Allergies"
+              size="small"
+              value={draft.allergiesText}
+              onChange={(e) => update({ allergiesText: e.target.value })}
+              placeholder="e.g. chicken, beef, soy"
+              helperText="Separate with commas. Diets that mention them are flagged."
+              fullWidth
+            />
+          </Grid>
+        </Grid>
+        <Typography variant="caption" sx={{ display: 'block', mt: 2, color: 'var(--dark-brown)' }}>
+          Saved on this device only, and available offline.
+        </Typography>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} sx={{ color: 'var(--dark-brown)' }}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          disabled={!draft.name.trim()}
+          onClick={handleSave}
+          sx={{ backgroundColor: 'var(--primary-green)', fontWeight: 600 }}
+        >
+          {isNew ? 'Create patient' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// Inline SVG sparkline of a price trend with the overall change beneath it
+function PriceSparkline({ trend, width, height }) {
+  const prices = trend.points.map((point) => point.price);
+  const times = trend.points.map((point) => new Date(point.date).getTime());
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  const minTime = times[0];
+  const timeSpan = times[times.length - 1] - minTime || 1;
+  const priceSpan = maxPrice - minPrice || 1;
+  const pad = 2;
+
+  const coordinates = trend.points.map((point, index) => {
+    const x = pad + ((times[index] - minTime) / timeSpan) * (width - pad * 2);
+    const y = height - pad - ((point.price - minPrice) / priceSpan) * (height - pad * 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  // Falling prices are good news for owners, so they get the green stroke
+  const color = trend.change > 0 ? 'var(--warm-orange)' : 'var(--sage-green)';
+  const sign = trend.change > 0 ? '+' : '';
+
+  return (
+    <Tooltip
+      title={`${trend.label} at ${trend.retailer}: ${formatCurrency(minPrice)} – ${formatCurrency(maxPrice)} over ${trend.points.length} updates`}
+    >
+      <Box component="span" sx={{ display: 'inline-block', textAlign: 'center' }}>
+        <svg width={width} height={height} role="img" aria-label="Price trend">
+          <polyline points={coordinates.join(' ')} fill="none" stroke={color} strokeWidth="2" />
+        </svg>
+        <Typography variant="caption" sx={{ display: 'block', color: 'var(--dark-brown)' }}>
+          {trend.label}: {sign}{trend.change.toFixed(1)}% in 12 mo
+        </Typography>
+      </Box>
+    </Tooltip>
+  );
+}
+
+// Shading for the lowest and highest value in a nutrient row. A gradient
+// rather than a background colour, so it also shows over the opaque
+// background of the pinned column.
+function extremeShading(extremes, index) {
+  const shade = (color) => ({ backgroundImage: `linear-gradient(${color}, ${color})`, fontWeight: 600 });
+  if (index === extremes.low) return shade('rgba(135, 169, 107, 0.25)');
+  if (index === extremes.high) return shade('rgba(210, 105, 30, 0.2)');
+  return {};
+}
+
+// Rows of the comparison table, one cell per product. A cell's `value` is
+// what "only differences" and "hide identical rows" compare; `content` is
+// what is shown. The clinic price row appears once any compared product
+// is on the formulary.
+function buildComparisonRows(items, { basis, showEstimates, priceHistory, mer, formulary = {} }) {
+  const basisInfo = NUTRIENT_BASES.find((b) => b.key === basis) || NUTRIENT_BASES[0];
+  const row = (key, label, cell, note = null) => ({ key, label, note, cells: items.map(cell) });
+  const text = (value) => ({ value, content: value });
+
+  const rows = [
+    row('brand', 'Brand', (item) => text(item.brand)),
+    row('species', 'Species', (item) => text(item.species)),
+    row('food', 'Food', (item) => text(
+      [attributeLabel('type', item.type)]
+        .concat((item.formats || []).map((id) => attributeLabel('formats', id)))
+        .filter(Boolean)
+        .join(', ') || '—'
+    )),
+    row('lifeStages', 'Life stage', (item) => text(
+      (item.lifeStages || []).map((id) => attributeLabel('lifeStages', id)).join(', ') || '—'
+    )),
+    row('conditions', 'Conditions', (item) => text(item.targetedConditions.map(conditionLabel).join(', '))),
+    row('sizes', 'Sizes & prices', (item) => {
+      const lines = getVariants(item).map((variant) =>
+        `${formatVariant(variant)} — ${formatVariantPrice(variant, showEstimates)}${variant.availability === 'out-of-stock' ? ' (out of stock)' : ''}`
+      );
+      return {
+        value: lines.join('\n') || '—',
+        content: lines.length === 0 ? '—' : lines.map((line) => (
+          <Box key={line} sx={{ fontSize: '0.85rem' }}>{line}</Box>
+        ))
+      };
+    }),
+    row('price', 'Price*', (item) => {
+      const summary = getPriceSummary(item, showEstimates);
+      return {
+        value: `${summary.text} ${summary.detail}`,
+        content: (
+          <>
+            <Box sx={{ fontStyle: summary.status === 'observed' ? 'normal' : 'italic' }}>
+              {summary.text}
+            </Box>
+            <Typography variant="caption" sx={{ color: 'var(--sage-green)' }}>
+              {summary.detail}
+            </Typography>
+          </>
+        )
+      };
+    }),
+    ...(items.some((item) => formulary[item.id]) ? [row('clinicPrice', 'Clinic price', (item) => {
+      const entry = formulary[item.id];
+      if (!entry) return text('Not on formulary');
+      return {
+        value: `${formatClinicPrice(entry)} ${describeFormularyStatus(entry)}`,
+        content: (
+          <>
+            <Box sx={{ fontWeight: 600, color: 'var(--primary-green)' }}>{formatClinicPrice(entry)}</Box>
+            <Typography variant="caption" sx={{ color: 'var(--sage-green)' }}>
+              {describeFormularyStatus(entry)}
+            </Typography>
+          </>
+        )
+      };
+    })] : []),
+    row('trend', 'Price trend (12 mo)', (item) => {
+      const trend = getPriceTrend(priceHistory, item);
+      return {
+        value: trend ? JSON.stringify(trend.points) : '—',
+        content: trend ? <PriceSparkline trend={trend} width={140} height={36} /> : '—'
+      };
+    })
+  ];
+
+  // Percent nutrients on the selected basis
+  NUTRIENT_FIELDS.filter((field) => CONVERTIBLE_NUTRIENTS.includes(field.key)).forEach((field) => {
+    const values = items.map((item) => convertNutrient(item.analysis, field.key, basis));
+    if (values.every((value) => value === null)) return;
+    const extremes = findExtremes(values);
+    rows.push(row(field.key, `${field.label} (${basisInfo.label.toLowerCase()})`, (item, index) => {
+      const value = values[index];
+      const formatted = typeof value === 'number' ? `${value.toFixed(value < 1 ? 2 : 1)} ${basisInfo.unit}` : '—';
+      return { value: formatted, content: formatted, sx: extremeShading(extremes, index) };
+    }));
+  });
+
+  // Moisture and calorie density are shown as printed on the label
+  NUTRIENT_FIELDS.filter((field) => !CONVERTIBLE_NUTRIENTS.includes(field.key)).forEach((field) => {
+    const entries = items.map((item) => item.analysis && item.analysis[field.key]);
+    if (!entries.some(Boolean)) return;
+    const extremes = findExtremes(entries.map((entry) => (entry ? entry.value : null)));
+    rows.push(row(field.key, `${field.label} (as fed)`, (item, index) => {
+      const formatted = formatNutrient(entries[index]);
+      return { value: formatted, content: formatted, sx: extremeShading(extremes, index) };
+    }));
+  });
+
+  if (!items.some((item) => item.analysis && Object.keys(item.analysis).length > 0)) {
+    rows.push(row('nutrients', 'Nutrients', () => text('—'), 'Guaranteed analysis not available for these products'));
+  }
+
+  // Feeding cost for the cheapest size per calorie
+  rows.push(row('per1000Kcal', 'Cost per 1000 kcal', (item) => {
+    const best = calculateProductCosts(item)[0];
+    return text(best ? `${formatCurrency(best.per1000Kcal)} (${best.size})` : '—');
+  }));
+  rows.push(row('perDay', 'Cost per day / 30 days', (item) => {
+    const best = calculateProductCosts(item, mer)[0];
+    return text(best && best.perDay !== null ? `${formatCurrency(best.perDay)} / ${formatCurrency(best.per30Days)}` : '—');
+  }, mer ? null : 'Enter a pet weight in a feeding calculator'));
+
+  rows.push(row('features', 'Key features', (item) => ({
+    value: item.features.slice(0, 3).join('\n'),
+    content: (
+      <ul style={{ paddingLeft: '16px', margin: 0, textAlign: 'left' }}>
+        {item.features.slice(0, 3).map((feat, idx) => (
+          <li key={idx} style={{ fontSize: '0.8rem' }}>{feat}</li>
+        ))}
+      </ul>
+    )
+  })));
+
+  return rows;
+}
+
+const COMPARE_LABEL_WIDTH = 180;
+const COMPARE_COLUMN_WIDTH = 240;
+
+// Side-by-side comparison of up to MAX_COMPARE_ITEMS products. The row
+// labels and the pinned (first) product stay in place while the other
+// columns scroll sideways.
+function ComparisonWorkspace({
+  items,
+  isLoading,
+  onNavigate,
+  backPath,
+  onRemove,
+  onPin,
+  onShare,
+  isShareCopied,
+  viewOptions,
+  onViewOptionsChange,
+  nutrientBasis,
+  onNutrientBasisChange,
+  showEstimates,
+  priceHistory,
+  formulary,
+  feedingProfile,
+  onFeedingProfileChange
+}) {
+  const [isHandoutOpen, setHandoutOpen] = useState(false);
+  const mer = (calculateDailyEnergy(feedingProfile) || {}).mer;
+
+  const backButton = (
+    <Button
+      onClick={() => onNavigate(backPath)}
+      sx={{ color: 'var(--primary-green)', fontWeight: 600, mb: 2 }}
+    >
+      <span className="material-icons" style={{ marginRight: '4px' }}>arrow_back</span>
+      All diets
+    </Button>
+  );
+
+  if (items.length === 0) {
+    return (
+      <Box>
+        {backButton}
+        <Box sx={{ textAlign: 'center', py: 6, backgroundColor: 'var(--soft-white)', borderRadius: 3, boxShadow: 'var(--card-shadow)' }}>
+          <span className="material-icons" style={{ fontSize: '64px', color: 'var(--sage-green)', marginBottom: '16px', display: 'block' }}>compare</span>
+          <Typography variant="h6" sx={{ color: 'var(--primary-green)', mb: 1 }}>
+            {isLoading ? 'Loading comparison…' : 'No products selected for comparison'}
+          </Typography>
+          {!isLoading && (
+            <Typography variant="body2" sx={{ color: 'var(--dark-brown)' }}>
+              Select up to {MAX_COMPARE_ITEMS} products using the "Compare" button to see them side by side
+            </Typography>
+          )}
+        </Box>
+      </Box>
+    );
+  }
+
+  const { onlyDifferences, hideIdentical } = viewOptions;
+  const rows = buildComparisonRows(items, { basis: nutrientBasis, showEstimates, priceHistory, mer, formulary })
+    .filter((row) => !hideIdentical || items.length < 2 || row.cells.some((cell) => cell.value !== row.cells[0].value));
+
+  const labelSx = {
+    position: 'sticky',
+    left: 0,
+    zIndex: 2,
+    width: COMPARE_LABEL_WIDTH,
+    backgroundColor: 'var(--soft-white)',
+    fontWeight: 600,
+    color: 'var(--primary-green)'
+  };
+  const pinnedSx = {
+    position: 'sticky',
+    left: COMPARE_LABEL_WIDTH,
+    zIndex: 1,
+    backgroundColor: 'var(--soft-white)',
+    borderRight: '2px solid var(--light-beige)'
+  };
+  const headerSx = { backgroundColor: 'var(--primary-green)', color: 'white', verticalAlign: 'top' };
+
+  return (
+    <Box component="section">
+      {backButton}
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <span className="material-icons" style={{ fontSize: '28px', color: 'var(--primary-green)' }}>compare_arrows</span>
+        <Typography variant="h5" component="h1" sx={{ fontWeight: 600, color: 'var(--primary-green)', flexGrow: 1 }}>
+          Product Comparison
+          <Typography component="span" variant="body2" sx={{ color: 'var(--sage-green)', ml: 1 }}>
+            {items.length} of {MAX_COMPARE_ITEMS}
+          </Typography>
+        </Typography>
+        <Button
+          variant="outlined"
+          onClick={onShare}
+          sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+        >
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>
+            {isShareCopied ? 'check' : 'share'}
+          </span>
+          {isShareCopied ? 'Link copied' : 'Share this comparison'}
+        </Button>
+        <ExportMenu products={items} name="comparison" />
+        <Button
+          variant="contained"
+          onClick={() => setHandoutOpen(true)}
+          sx={{ backgroundColor: 'var(--primary-green)', fontWeight: 600 }}
+        >
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>print</span>
+          Client handout
+        </Button>
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={onlyDifferences}
+              onChange={(e) => onViewOptionsChange({ ...viewOptions, onlyDifferences: e.target.checked })}
+              color="success"
+            />
+          }
+          label="Show only differences from the pinned product"
+          sx={{ color: 'var(--dark-brown)' }}
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={hideIdentical}
+              onChange={(e) => onViewOptionsChange({ ...viewOptions, hideIdentical: e.target.checked })}
+              color="success"
+            />
+          }
+          label="Hide rows with identical values"
+          sx={{ color: 'var(--dark-brown)' }}
+        />
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 'auto' }}>
+          <Typography variant="body2" sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+            Nutrient basis
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={nutrientBasis}
+            onChange={(e, value) => value && onNutrientBasisChange(value)}
+            sx={{ backgroundColor: 'var(--soft-white)' }}
+          >
+            {NUTRIENT_BASES.map((basis) => (
+              <ToggleButton key={basis.key} value={basis.key}>
+                {basis.label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
+      </Box>
+      <Box sx={{ overflowX: 'auto', borderRadius: 2, boxShadow: 'var(--card-shadow)', backgroundColor: 'var(--soft-white)' }}>
+        <Table
+          size="medium"
+          sx={{
+            tableLayout: 'fixed',
+            width: COMPARE_LABEL_WIDTH + items.length * COMPARE_COLUMN_WIDTH,
+            minWidth: '100%'
+          }}
+        >
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ ...labelSx, ...headerSx, zIndex: 3 }}>Product</TableCell>
+              {items.map((item, index) => (
+                <TableCell
+                  key={item.id}
+                  align="center"
+                  sx={{ ...(index === 0 ? { ...pinnedSx, zIndex: 2 } : {}), ...headerSx, width: COMPARE_COLUMN_WIDTH }}
+                >
+                  <Box
+                    component="a"
+                    href={productPath(item.id)}
+                    onClick={(e) => {
+                      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                      e.preventDefault();
+                      onNavigate(productPath(item.id));
+                    }}
+                    sx={{ color: 'white', fontWeight: 600, textDecoration: 'none', display: 'block', '&:hover': { textDecoration: 'underline' } }}
+                  >
+                    {item.name}
+                  </Box>
+                  <Box sx={{ mt: 1 }}>
+                    <Tooltip title={index === 0 ? 'Pinned: other products are compared with this one' : 'Pin as the first column'}>
+                      <span>
+                        <IconButton size="small" disabled={index === 0} onClick={() => onPin(item)} sx={{ color: 'white', '&.Mui-disabled': { color: 'var(--warm-orange)' } }}>
+                          <span className="material-icons" style={{ fontSize: '18px' }}>push_pin</span>
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Remove from comparison">
+                      <IconButton size="small" onClick={() => onRemove(item)} sx={{ color: 'white' }}>
+                        <span className="material-icons" style={{ fontSize: '18px' }}>close</span>
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.key}>
+                <TableCell sx={labelSx}>
+                  {row.label}
+                  {row.note && (
+                    <Typography variant="caption" sx={{ display: 'block', color: 'var(--sage-green)', fontWeight: 400 }}>
+                      {row.note}
+                    </Typography>
+                  )}
+                </TableCell>
+                {row.cells.map((cell, index) => {
+                  const isSame = onlyDifferences && index > 0 && cell.value === row.cells[0].value;
+                  return (
+                    <TableCell
+                      key={items[index].id}
+                      align="center"
+                      sx={{ ...(index === 0 ? pinnedSx : {}), color: 'var(--dark-brown)', ...(isSame ? {} : cell.sx) }}
+                    >
+                      {isSame ? (
+                        <Typography variant="caption" sx={{ color: 'var(--sage-green)', fontStyle: 'italic' }}>
+                          Same as pinned
+                        </Typography>
+                      ) : cell.content}
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Box>
+      <Typography variant="caption" sx={{ mt: 2, display: 'block', color: 'var(--dark-brown)' }}>
+        <Box component="span" sx={{ px: 1, mr: 1, backgroundColor: 'rgba(135, 169, 107, 0.25)' }}>lowest</Box>
+        <Box component="span" sx={{ px: 1, mr: 1, backgroundColor: 'rgba(210, 105, 30, 0.2)' }}>highest</Box>
+        Dry matter values need a moisture figure and per-1000 kcal values need kcal/kg; missing inputs show as —.
+      </Typography>
+      <Typography variant="caption" sx={{ mt: 1, display: 'block' }}>
+        {PRICE_DISCLAIMER}
+      </Typography>
+      <HandoutDialog
+        open={isHandoutOpen}
+        onClose={() => setHandoutOpen(false)}
+        items={items}
+        basis={nutrientBasis}
+        feedingProfile={feedingProfile}
+        onFeedingProfileChange={onFeedingProfileChange}
+      />
+    </Box>
+  );
+}
+
+// Daily portions as one line, e.g. "1.25 cups · 110 g per day"
+function formatFeedingAmounts(amounts) {
+  const parts = [];
+  if (amounts.cups !== undefined) parts.push(`${amounts.cups.toFixed(2)} cups`);
+  if (amounts.cans !== undefined) parts.push(`${amounts.cans.toFixed(2)} cans`);
+  if (amounts.grams !== undefined) parts.push(`${Math.round(amounts.grams)} g`);
+  return parts.length > 0 ? `${parts.join(' · ')} per day` : '—';
+}
+
+// Everything the client handout shows, as plain text, so the print layout
+// and the PDF say the same thing
+function buildHandout(items, { basis, feedingProfile, clinic, patientName, notes }) {
+  const energy = calculateDailyEnergy(feedingProfile);
+  const mer = energy && energy.mer;
+  const nutrientKeys = NUTRIENT_FIELDS.map((field) => field.key);
+
+  return {
+    clinicName: clinic.name.trim(),
+    clinicLogo: clinic.logo,
+    patientName: patientName.trim(),
+    notes: notes.trim(),
+    date: new Date().toLocaleDateString(),
+    energy: energy
+      ? `Amounts are for a ${feedingProfile.weight} ${feedingProfile.weightUnit} ${feedingProfile.species} needing about ${Math.round(mer)} kcal per day.`
+      : 'Enter the pet\'s weight to calculate daily amounts and monthly cost.',
+    products: items.map((item) => {
+      const best = calculateProductCosts(item, mer)[0];
+      return {
+        id: item.id,
+        name: item.name,
+        brand: item.brand,
+        conditions: item.targetedConditions.map(conditionLabel).join(', ') || '—',
+        feeding: formatFeedingAmounts(calculateFeedingAmounts(item.analysis, mer)),
+        monthlyCost: best && best.per30Days !== null ? `${formatCurrency(best.per30Days)} (${best.size})` : '—'
+      };
+    }),
+    nutrientRows: buildComparisonRows(items, { basis, mer })
+      .filter((row) => nutrientKeys.includes(row.key))
+      .map((row) => ({ label: row.label, values: row.cells.map((cell) => cell.value) })),
+    disclaimer: PRICE_DISCLAIMER
+  };
+}
+
+// Print layout for the handout. Hidden on screen; index.html shows it, and
+// only it, while the body has the `printing-handout` class.
+function ComparisonHandout({ handout }) {
+  const cell = { border: '1px solid #ccc', padding: '4px 6px', textAlign: 'left', verticalAlign: 'top' };
+  return (
+    <div className="handout">
+      <header style={{ display: 'flex', alignItems: 'center', gap: '16px', borderBottom: '2px solid #2D5016', paddingBottom: '8px' }}>
+        {handout.clinicLogo && <img src={handout.clinicLogo} alt="" style={{ maxHeight: '56px', maxWidth: '160px' }} />}
+        <div style={{ flexGrow: 1 }}>
+          <h1 style={{ margin: 0, fontSize: '20px' }}>{handout.clinicName || 'Diet recommendation'}</h1>
+          <div style={{ fontSize: '12px' }}>
+            {handout.patientName ? `Prepared for ${handout.patientName} · ` : ''}{handout.date}
+          </div>
+        </div>
+      </header>
+      {handout.notes && (
+        <section>
+          <h2 style={{ fontSize: '14px' }}>Recommendation</h2>
+          <p style={{ whiteSpace: 'pre-wrap', fontSize: '12px' }}>{handout.notes}</p>
+        </section>
+      )}
+      <section>
+        <h2 style={{ fontSize: '14px' }}>Diets</h2>
+        <p style={{ fontSize: '11px' }}>{handout.energy}</p>
+        <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '11px' }}>
+          <thead>
+            <tr>
+              {['Diet', 'Conditions', 'Daily amount', 'Est. monthly cost*'].map((label) => (
+                <th key={label} style={cell}>{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {handout.products.map((product) => (
+              <tr key={product.id} style={{ breakInside: 'avoid' }}>
+                <td style={cell}><strong>{product.name}</strong><br />{product.brand}</td>
+                <td style={cell}>{product.conditions}</td>
+                <td style={cell}>{product.feeding}</td>
+                <td style={cell}>{product.monthlyCost}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      {handout.nutrientRows.length > 0 && (
+        <section>
+          <h2 style={{ fontSize: '14px' }}>Nutrients</h2>
+          <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '10px' }}>
+            <thead>
+              <tr>
+                <th style={cell}>Nutrient</th>
+                {handout.products.map((product) => <th key={product.id} style={cell}>{product.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {handout.nutrientRows.map((row) => (
+                <tr key={row.label}>
+                  <td style={cell}>{row.label}</td>
+                  {row.values.map((value, index) => <td key={handout.products[index].id} style={cell}>{value}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+      <p style={{ fontSize: '9px', marginTop: '16px' }}>{handout.disclaimer}</p>
+    </div>
+  );
+}
+
+const JSPDF_URL = 'https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js';
+let jsPdfLoading = null;
+
+// jsPDF is only needed for PDF export, so it loads on first use
+function loadJsPdf() {
+  if (window.jspdf) return Promise.resolve(window.jspdf.jsPDF);
+  if (!jsPdfLoading) {
+    jsPdfLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = JSPDF_URL;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => resolve(window.jspdf.jsPDF);
+      script.onerror = () => {
+        jsPdfLoading = null;
+        reject(new Error('Could not load the PDF library'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return jsPdfLoading;
+}
+
+// Lay the handout out on US letter pages and download it
+async function downloadHandoutPdf(handout) {
+  const JsPdf = await loadJsPdf();
+  const doc = new JsPdf({ unit: 'pt', format: 'letter' });
+  const margin = 40;
+  const width = doc.internal.pageSize.getWidth() - margin * 2;
+  const pageBottom = doc.internal.pageSize.getHeight() - margin;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageBottom) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+  const paragraph = (text, size = 10, style = 'normal') => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(text, width);
+    ensureSpace(lines.length * size * 1.25);
+    doc.text(lines, margin, y + size);
+    y += lines.length * size * 1.25 + 6;
+  };
+  // Columns share the width after the first; rows grow to their tallest cell
+  const table = (header, rows, firstWidth, size) => {
+    const otherWidth = (width - firstWidth) / (header.length - 1);
+    const colWidth = (index) => (index === 0 ? firstWidth : otherWidth);
+    const drawRow = (cells, style) => {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(size);
+      const wrapped = cells.map((text, index) => doc.splitTextToSize(String(text), colWidth(index) - 6));
+      const height = Math.max(...wrapped.map((lines) => lines.length)) * size * 1.2 + 6;
+      ensureSpace(height);
+      let x = margin;
+      wrapped.forEach((lines, index) => {
+        doc.rect(x, y, colWidth(index), height);
+        doc.text(lines, x + 3, y + size + 2);
+        x += colWidth(index);
+      });
+      y += height;
+    };
+    drawRow(header, 'bold');
+    rows.forEach((cells) => drawRow(cells, 'normal'));
+    y += 12;
+  };
+
+  if (handout.clinicLogo) {
+    const image = doc.getImageProperties(handout.clinicLogo);
+    const height = 48;
+    const logoWidth = Math.min(160, (image.width / image.height) * height);
+    doc.addImage(handout.clinicLogo, image.fileType, margin, y, logoWidth, (logoWidth / image.width) * image.height);
+    y += height + 8;
+  }
+  paragraph(handout.clinicName || 'Diet recommendation', 16, 'bold');
+  paragraph(`${handout.patientName ? `Prepared for ${handout.patientName} · ` : ''}${handout.date}`, 10);
+  if (handout.notes) {
+    paragraph('Recommendation', 12, 'bold');
+    paragraph(handout.notes, 10);
+  }
+  paragraph('Diets', 12, 'bold');
+  paragraph(handout.energy, 9);
+  table(
+    ['Diet', 'Conditions', 'Daily amount', 'Est. monthly cost*'],
+    handout.products.map((product) => [`${product.name}\n${product.brand}`, product.conditions, product.feeding, product.monthlyCost]),
+    200,
+    9
+  );
+  if (handout.nutrientRows.length > 0) {
+    paragraph('Nutrients', 12, 'bold');
+    table(
+      ['Nutrient'].concat(handout.products.map((product) => product.name)),
+      handout.nutrientRows.map((row) => [row.label].concat(row.values)),
+      110,
+      7
+    );
+  }
+  paragraph(handout.disclaimer, 8);
+
+  doc.save(`diet-handout-${new Date().toISOString().slice(0, 10)}.pdf`);
+}
+
+// Largest clinic logo kept; it is stored in localStorage with the name
+const MAX_LOGO_BYTES = 300 * 1024;
+
+// Client handout for the compared products: clinic and pet details, a
+// preview, and print or PDF export
+function HandoutDialog({ open, onClose, items, basis, feedingProfile, onFeedingProfileChange }) {
+  const [clinic, setClinic] = useStoredState('vetfoodrx-clinic', { name: '', logo: null });
+  const [patientName, setPatientName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [error, setError] = useState('');
+  const [isExporting, setExporting] = useState(false);
+  const [isPrinting, setPrinting] = useState(false);
+
+  const handout = buildHandout(items, { basis, feedingProfile, clinic, patientName, notes });
+
+  // Print once the print layout has rendered, then put the page back
+  useEffect(() => {
+    if (!isPrinting) return undefined;
+    const done = () => setPrinting(false);
+    document.body.classList.add('printing-handout');
+    window.addEventListener('afterprint', done);
+    window.print();
+    return () => {
+      document.body.classList.remove('printing-handout');
+      window.removeEventListener('afterprint', done);
+    };
+  }, [isPrinting]);
+
+  function chooseLogo(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!/^image\/(png|jpeg)$/.test(file.type) || file.size > MAX_LOGO_BYTES) {
+      setError(`Use a PNG or JPEG logo under ${MAX_LOGO_BYTES / 1024} KB.`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setClinic({ ...clinic, logo: reader.result });
+      setError('');
+    };
+    reader.readAsDataURL(file);
+  }
+
+  function exportPdf() {
+    setExporting(true);
+    setError('');
+    downloadHandoutPdf(handout)
+      .catch((err) => {
+        console.warn('PDF export failed', err);
+        setError('PDF export is unavailable offline. Use Print and choose "Save as PDF" instead.');
+      })
+      .finally(() => setExporting(false));
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: 3, backgroundColor: 'var(--soft-white)' } }}
+    >
+      <DialogTitle
+        sx={{
+          backgroundColor: 'var(--primary-green)',
+          color: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          py: 2
+        }}
+      >
+        <span className="material-icons" style={{ marginRight: '12px' }}>print</span>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Client Handout
+        </Typography>
+      </DialogTitle>
+      <DialogContent sx={{ p: 3 }}>
+        <Grid container spacing={2} sx={{ mt: 0.5 }}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Clinic name"
+              size="small"
+              value={clinic.name}
+              onChange={(e) => setClinic({ ...clinic, name: e.target.value })}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Button component="label" variant="outlined" size="small" sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)' }}>
+              {clinic.logo ? 'Change logo' : 'Add clinic logo'}
+              <input type="file" accept="image/png,image/jpeg" hidden onChange={chooseLogo} />
+            </Button>
+            {clinic.logo && (
+              <>
+                <img src={clinic.logo} alt="Clinic logo" style={{ maxHeight: '32px', maxWidth: '96px' }} />
+                <Button size="small" onClick={() => setClinic({ ...clinic, logo: null })} sx={{ color: 'var(--terracotta)' }}>
+                  Remove
+                </Button>
+              </>
+            )}
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Prepared for (pet name)"
+              size="small"
+              value={patientName}
+              onChange={(e) => setPatientName(e.target.value)}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="Recommendation notes"
+              size="small"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              multiline
+              minRows={2}
+              fullWidth
+            />
+          </Grid>
+        </Grid>
+        <Typography variant="subtitle2" sx={{ color: 'var(--primary-green)', mt: 3, mb: 1.5 }}>
+          Pet details for daily amounts
+        </Typography>
+        <FeedingProfileFields profile={feedingProfile} onChange={onFeedingProfileChange} />
+        {error && (
+          <Typography variant="body2" sx={{ color: 'var(--terracotta)', mt: 2 }}>
+            {error}
+          </Typography>
+        )}
+        <Box sx={{ mt: 3, p: 2, border: '1px solid var(--light-beige)', borderRadius: 2, backgroundColor: 'white', color: 'black' }}>
+          <ComparisonHandout handout={handout} />
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button
+          variant="outlined"
+          onClick={exportPdf}
+          disabled={isExporting}
+          sx={{ borderColor: 'var(--sage-green)', color: 'var(--sage-green)', fontWeight: 600 }}
+        >
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>picture_as_pdf</span>
+          {isExporting ? 'Preparing PDF…' : 'Download PDF'}
+        </Button>
+        <Button
+          variant="contained"
+          onClick={() => setPrinting(true)}
+          sx={{ backgroundColor: 'var(--primary-green)', fontWeight: 600 }}
+        >
+          <span className="material-icons" style={{ marginRight: '4px', fontSize: '18px' }}>print</span>
+          Print
+        </Button>
+        <Button onClick={onClose} sx={{ color: 'var(--primary-green)', fontWeight: 600 }}>
+          Close
+        </Button>
+      </DialogActions>
+      {isPrinting && ReactDOM.createPortal(
+        <div className="handout-print-root">
+          <ComparisonHandout handout={handout} />
+        </div>,
+        document.body
+      )}
+    </Dialog>
+  );
+}
+
 // Render the application
 ReactDOM.createRoot(document.getElementById('root')).render(<App />);
\ No newline at end of file
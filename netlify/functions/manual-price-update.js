@@ -9,27 +9,19 @@
  * Optional parameters:
  * - category: 'dog' or 'cat' (updates only that category)
  * - maxProducts: number (limits products per category)
- * - saveToFile: 'true' (saves results to products.json)
+ * - saveToFile: 'true' (saves results to products.json; full updates only,
+ *   and only when the database passes validation)
+ *
+ * Every run is validated, whether or not it saves: a full update against
+ * the current products.json, a category scrape on its own. Only runs that
+ * pass append their variant prices to data/price-history.json.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-
 // Import our comprehensive scraper functions
 const { handler: comprehensiveScraper } = require('./comprehensive-product-scraper');
 const { handler: databaseUpdater } = require('./update-product-database');
-
-async function saveProductData(data) {
-  try {
-    const dataPath = path.join(process.cwd(), 'data', 'products.json');
-    await fs.writeFile(dataPath, JSON.stringify(data, null, 2), 'utf8');
-    console.log('Product database saved to products.json');
-    return true;
-  } catch (error) {
-    console.error('Error saving product database:', error);
-    return false;
-  }
-}
+const { historyProducts, recordPriceHistory } = require('../lib/price-history');
+const { loadProductDatabase, validateProductDatabase, saveProductData } = require('../lib/product-database');
 
 async function scrapeSingleCategory(category, maxProducts = 30) {
   try {
@@ -70,6 +62,7 @@ exports.handler = async function (event, context) {
     console.log(`Full update: ${fullUpdate}`);
 
     let result;
+    let saveResult = null;
 
     if (fullUpdate === 'true') {
       // Use the full database updater
@@ -90,7 +83,7 @@ exports.handler = async function (event, context) {
       result = JSON.parse(updateResult.body);
       
       if (saveToFile === 'true' && result.success) {
-        await saveProductData(result.database);
+        saveResult = await saveProductData(result.database);
       }
 
     } else if (category && ['dog', 'cat'].includes(category.toLowerCase())) {
@@ -123,6 +116,26 @@ exports.handler = async function (event, context) {
       };
     }
 
+    const rejected = Boolean(saveResult && !saveResult.validation.valid);
+    const scrapedProducts = result.database
+      ? result.database.products
+      : result.categories
+        ? [...(result.categories.dog.products || []), ...(result.categories.cat.products || [])]
+        : result.products || [];
+    const products = historyProducts(scrapedProducts, { scraped: !result.database });
+
+    // Runs that did not save are validated here. A category scrape covers
+    // part of the catalogue, so it is not compared with products.json.
+    const validation = saveResult
+      ? saveResult.validation
+      : result.database
+        ? validateProductDatabase(result.database, await loadProductDatabase())
+        : validateProductDatabase({ products, lastUpdated: new Date().toISOString(), totalProducts: products.length });
+
+    // Append this run's variant prices to the price history, unless the
+    // scrape failed validation
+    const historyResult = validation.valid ? await recordPriceHistory(products) : null;
+
     const duration = Date.now() - startTime;
 
     console.log('=== Manual Update Completed ===');
@@ -130,14 +143,16 @@ exports.handler = async function (event, context) {
     console.log(`Success: ${result.success}`);
 
     return {
-      statusCode: 200,
+      statusCode: rejected ? 422 : 200,
       headers: { 
         'Content-Type': 'application/json',
         'Cache-Control': 'no-cache'
       },
       body: JSON.stringify({
-        success: true,
-        message: 'Manual product update completed',
+        success: !rejected,
+        message: rejected
+          ? 'Manual product update failed validation; previous products.json kept'
+          : 'Manual product update completed',
         processingTimeMs: duration,
         timestamp: new Date().toISOString(),
         parameters: {
@@ -147,6 +162,9 @@ exports.handler = async function (event, context) {
           fullUpdate: fullUpdate === 'true'
         },
         results: result,
+        saved: Boolean(saveResult && saveResult.saved),
+        validation: validation,
+        priceHistory: historyResult,
         dataSource: '1800petmeds.com'
       })
     };
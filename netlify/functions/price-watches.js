@@ -0,0 +1,86 @@
+/*
+ * Price Watch Function
+ *
+ * Lets the app register price watches so the scheduled update can evaluate
+ * them, and returns the alerts recorded for a client. Clients are anonymous:
+ * the app generates a random client id and keeps it on the device. Watches
+ * and alerts are kept in the data store (netlify/lib/data-store.js).
+ *
+ * Usage:
+ * - GET    /.netlify/functions/price-watches?clientId=...
+ *          returns the client's watches, alerts and the VAPID public key
+ * - POST   /.netlify/functions/price-watches
+ *          body: { clientId, productId, variant, targetPrice, subscription }
+ * - DELETE /.netlify/functions/price-watches?clientId=...&watchId=...
+ */
+
+const { loadWatches, saveWatches, loadAlerts, createWatch } = require('../lib/price-watches');
+const { connectDataStore } = require('../lib/data-store');
+
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+exports.handler = async function (event, context) {
+  const method = event.httpMethod || 'GET';
+  const params = event.queryStringParameters || {};
+
+  try {
+    connectDataStore(event);
+
+    if (method === 'GET') {
+      if (!params.clientId) {
+        return jsonResponse(400, { error: 'Missing clientId parameter.' });
+      }
+      const [watches, alerts] = await Promise.all([loadWatches(), loadAlerts()]);
+      return jsonResponse(200, {
+        success: true,
+        watches: watches.filter(w => w.clientId === params.clientId),
+        alerts: alerts.filter(a => a.clientId === params.clientId),
+        vapidPublicKey: process.env.VAPID_PUBLIC_KEY || null
+      });
+    }
+
+    if (method === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      const targetPrice = parseFloat(body.targetPrice);
+      if (!body.clientId || !body.productId || !(targetPrice > 0)) {
+        return jsonResponse(400, {
+          error: 'Invalid watch. Provide clientId, productId and a positive targetPrice.'
+        });
+      }
+
+      const watches = await loadWatches();
+      const watch = createWatch({ ...body, targetPrice });
+      watches.push(watch);
+      await saveWatches(watches);
+      return jsonResponse(201, { success: true, watch });
+    }
+
+    if (method === 'DELETE') {
+      if (!params.clientId || !params.watchId) {
+        return jsonResponse(400, { error: 'Missing clientId or watchId parameter.' });
+      }
+      const watches = await loadWatches();
+      const remaining = watches.filter(w => !(w.id === params.watchId && w.clientId === params.clientId));
+      await saveWatches(remaining);
+      return jsonResponse(200, { success: true, removed: watches.length - remaining.length });
+    }
+
+    return jsonResponse(405, { error: `Method ${method} not allowed` });
+  } catch (error) {
+    console.error('Price watch error:', error);
+    return jsonResponse(500, {
+      success: false,
+      error: 'Price watch request failed',
+      details: error.message
+    });
+  }
+};
@@ -9,6 +9,12 @@
  * - Bag sizes and quantity options
  * - Health condition targeting
  * - Brand information
+ *
+ * The scraped database must pass schema and sanity validation before it
+ * replaces products.json; a failing run keeps the previous file and returns
+ * the validation report. Each saved run also appends the observed variant
+ * prices to data/price-history.json and evaluates price watches, recording
+ * triggered alerts.
  * 
  * Schedule: Runs every Sunday at 2:00 AM UTC
  * 
@@ -23,18 +29,9 @@ const path = require('path');
 
 // Import our comprehensive database updater
 const { handler: databaseUpdater } = require('./update-product-database');
-
-async function saveProductData(data) {
-  try {
-    const dataPath = path.join(process.cwd(), 'data', 'products.json');
-    await fs.writeFile(dataPath, JSON.stringify(data, null, 2), 'utf8');
-    console.log('Product database saved successfully to products.json');
-    return true;
-  } catch (error) {
-    console.error('Error saving product database:', error);
-    return false;
-  }
-}
+const { historyProducts, recordPriceHistory } = require('../lib/price-history');
+const { processPriceWatches } = require('../lib/price-watches');
+const { saveProductData } = require('../lib/product-database');
 
 async function createBackup() {
   try {
@@ -94,14 +91,40 @@ exports.handler = async function (event, context) {
     console.log(`- Total products: ${updateResult.statistics.totalProducts}`);
     console.log(`- Dog products: ${updateResult.statistics.dogProducts}`);
     console.log(`- Cat products: ${updateResult.statistics.catProducts}`);
+    console.log(`- Added: ${updateResult.changes.added.length}, changed: ${updateResult.changes.changed.length}, discontinued: ${updateResult.changes.removed.length}`);
 
-    // Save the updated database to products.json
-    const savedSuccessfully = await saveProductData(updateResult.database);
-    
-    if (!savedSuccessfully) {
+    // Save the updated database to products.json if it passes validation
+    const saveResult = await saveProductData(updateResult.database);
+
+    if (!saveResult.saved && !saveResult.validation.valid) {
+      return {
+        statusCode: 422,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: false,
+          error: 'Scraped product database failed validation; previous products.json kept',
+          validation: saveResult.validation,
+          changes: updateResult.changes,
+          processingTimeMs: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    if (!saveResult.saved) {
       throw new Error('Failed to save updated product database to file');
     }
 
+    // Append this run's variant prices to the price history
+    const activeProducts = historyProducts(updateResult.database.products);
+    const historyResult = await recordPriceHistory(activeProducts, updateResult.database.lastUpdated);
+
+    // Evaluate price watches against the fresh prices and send alerts
+    const alertResult = await processPriceWatches(activeProducts, {
+      timestamp: updateResult.database.lastUpdated,
+      event: event
+    });
+
     const duration = Date.now() - startTime;
     const stats = updateResult.statistics;
     
@@ -126,7 +149,11 @@ exports.handler = async function (event, context) {
         },
         dataSource: '1800petmeds.com',
         version: '2.0',
-        backupCreated: backupCreated
+        backupCreated: backupCreated,
+        changes: updateResult.changes,
+        validation: saveResult.validation,
+        priceHistory: historyResult,
+        priceAlerts: alertResult
       })
     };
 
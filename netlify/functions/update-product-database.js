@@ -2,83 +2,71 @@
  * Product Database Update Function
  * 
  * This function coordinates the scraping of both dog and cat food products
- * from 1800PetMeds and updates the products.json file with fresh, comprehensive data.
+ * from a catalogue retailer (1800PetMeds by default, via the retailer adapter
+ * registry) and merges the fresh data into products.json: ids are stable,
+ * curated fields are kept and products that disappear are marked
+ * discontinued. The response reports added, changed and removed products,
+ * and any condition tags outside the shared taxonomy.
  */
 
-const https = require('https');
-
-// Fetch from our own scraper function
-function fetchFromScraper(category, maxProducts = 50) {
-  return new Promise((resolve, reject) => {
-    const url = `/.netlify/functions/comprehensive-product-scraper?category=${category}&maxProducts=${maxProducts}`;
-    
-    const options = {
-      hostname: process.env.URL ? new URL(process.env.URL).hostname : 'localhost',
-      port: process.env.URL ? (new URL(process.env.URL).protocol === 'https:' ? 443 : 80) : 8888,
-      path: url,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'VetFoodRx-Internal/1.0'
-      }
-    };
-
-    const protocol = process.env.URL && new URL(process.env.URL).protocol === 'https:' ? https : require('http');
-    
-    const req = protocol.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(data);
-          resolve(result);
-        } catch (error) {
-          reject(new Error('Invalid JSON response: ' + error.message));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.setTimeout(120000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-
-    req.end();
-  });
+const { getAdapter, discoverCategory, scrapeProducts } = require('../lib/retailers');
+const { loadProductDatabase, mergeProducts, normalizeProductConditions } = require('../lib/product-database');
+const { unknownPrice, estimateVariantPrices } = require('../lib/pricing');
+
+// Scrape one catalogue category through the retailer registry
+async function scrapeCatalogCategory(adapter, species, maxProducts = 50) {
+  const productLinks = await discoverCategory(adapter, species, maxProducts);
+  const products = await scrapeProducts(adapter, productLinks);
+  return {
+    success: true,
+    products: products,
+    totalFound: products.length,
+    timestamp: new Date().toISOString()
+  };
 }
 
-// Process and normalize product data
-function processProducts(dogProducts, catProducts) {
+// Process and normalize product data. Ids come from the adapter (retailer
+// SKU or canonical URL) so they stay stable between refreshes; a product
+// scraped twice, or without any identity, is skipped. Products without an
+// observed price get an explicit "unknown" price record, and unpriced sizes
+// a labelled estimate from the product's other sizes.
+function processProducts(dogProducts, catProducts, adapter) {
   const allProducts = [];
-  let idCounter = 1;
+  const seenIds = new Set();
+  const productId = (product) => {
+    const id = adapter.productId(product);
+    if (!id || seenIds.has(id)) return null;
+    seenIds.add(id);
+    return id;
+  };
 
   // Process dog products
   dogProducts.forEach(product => {
-    if (product.name && product.brand) {
+    const id = product.name && product.brand ? productId(product) : null;
+    if (id) {
       const processedProduct = {
-        id: `product-${idCounter++}`,
+        id: id,
         brand: product.brand,
         name: product.name,
         species: 'dog',
         targetedConditions: product.targetedConditions || [],
+        conditionTags: product.conditionTags || [],
         type: product.type || 'dry',
-        bagSizes: product.bagSizes || [],
+        formats: product.formats || [],
+        lifeStages: product.lifeStages || [],
+        sizeClasses: product.sizeClasses || [],
+        variants: estimateVariantPrices(product.variants || []),
         features: product.features || [],
         analysis: product.nutritionalAnalysis || {},
         feedingGuide: product.feedingGuide || `Consult your veterinarian for precise feeding amounts based on your dog's weight, age, and activity level.`,
         image: product.image || generateFallbackImage('dog', product.type || 'dry', product.brand),
-        price: product.price || {
-          estimate: Math.floor(Math.random() * 100) + 50,
-          note: "Estimated pricing - actual prices may vary by location and retailer"
-        },
-        link: product.link || 'https://www.1800petmeds.com'
+        price: product.price || unknownPrice({ retailer: product.retailer, scrapedAt: product.lastUpdated }),
+        link: product.link || 'https://www.1800petmeds.com',
+        retailer: product.retailer || '1800petmeds',
+        sku: product.sku || null,
+        gtin: product.gtin || null,
+        availability: product.availability || 'in-stock',
+        provenance: product.provenance || {}
       };
       allProducts.push(processedProduct);
     }
@@ -86,24 +74,31 @@ function processProducts(dogProducts, catProducts) {
 
   // Process cat products
   catProducts.forEach(product => {
-    if (product.name && product.brand) {
+    const id = product.name && product.brand ? productId(product) : null;
+    if (id) {
       const processedProduct = {
-        id: `product-${idCounter++}`,
+        id: id,
         brand: product.brand,
         name: product.name,
         species: 'cat',
         targetedConditions: product.targetedConditions || [],
+        conditionTags: product.conditionTags || [],
         type: product.type || 'dry',
-        bagSizes: product.bagSizes || [],
+        formats: product.formats || [],
+        lifeStages: product.lifeStages || [],
+        sizeClasses: product.sizeClasses || [],
+        variants: estimateVariantPrices(product.variants || []),
         features: product.features || [],
         analysis: product.nutritionalAnalysis || {},
         feedingGuide: product.feedingGuide || `Consult your veterinarian for precise feeding amounts based on your cat's weight, age, and activity level.`,
         image: product.image || generateFallbackImage('cat', product.type || 'dry', product.brand),
-        price: product.price || {
-          estimate: Math.floor(Math.random() * 80) + 40,
-          note: "Estimated pricing - actual prices may vary by location and retailer"
-        },
-        link: product.link || 'https://www.1800petmeds.com'
+        price: product.price || unknownPrice({ retailer: product.retailer, scrapedAt: product.lastUpdated }),
+        link: product.link || 'https://www.1800petmeds.com',
+        retailer: product.retailer || '1800petmeds',
+        sku: product.sku || null,
+        gtin: product.gtin || null,
+        availability: product.availability || 'in-stock',
+        provenance: product.provenance || {}
       };
       allProducts.push(processedProduct);
     }
@@ -127,7 +122,7 @@ function generateFallbackImage(species, type, brand) {
   const typeText = type.toUpperCase();
   const brandShort = brand.split(' ')[0];
 
-  return `data:image/svg+xml;base64,${btoa(`
+  return `data:image/svg+xml;base64,${Buffer.from(`
     <svg width="300" height="240" xmlns="http://www.w3.org/2000/svg">
       <defs>
         <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
@@ -153,20 +148,21 @@ function generateFallbackImage(species, type, brand) {
         ${species.toUpperCase()} NUTRITION
       </text>
     </svg>
-  `)}`;
+  `).toString('base64')}`;
 }
 
 // Main handler
 exports.handler = async function (event, context) {
-  const { forceUpdate = false } = event.queryStringParameters || {};
+  const { forceUpdate = false, retailer = '1800petmeds' } = event.queryStringParameters || {};
   
   try {
     console.log('Starting comprehensive product database update...');
+    const adapter = getAdapter(retailer);
 
     // Scrape both categories simultaneously
     const [dogResult, catResult] = await Promise.all([
-      fetchFromScraper('dog', 30),
-      fetchFromScraper('cat', 25)
+      scrapeCatalogCategory(adapter, 'dog', 30),
+      scrapeCatalogCategory(adapter, 'cat', 25)
     ]);
 
     if (!dogResult.success || !catResult.success) {
@@ -179,19 +175,35 @@ exports.handler = async function (event, context) {
     console.log(`Scraped ${dogProducts.length} dog products and ${catProducts.length} cat products`);
 
     // Process and normalize the data
-    const processedProducts = processProducts(dogProducts, catProducts);
+    const processedProducts = processProducts(dogProducts, catProducts, adapter);
+
+    // Merge into the existing database so ids and curated fields survive
+    const lastUpdated = new Date().toISOString();
+    const existing = await loadProductDatabase();
+    const merged = mergeProducts(existing ? existing.products : [], processedProducts, lastUpdated);
+    const changes = merged.changes;
+
+    // Stored and curated tags may predate the taxonomy; map them to its ids
+    const { products, unknown: unknownConditions } = normalizeProductConditions(merged.products);
+    if (Object.keys(unknownConditions).length > 0) {
+      console.warn(`Unknown condition tags: ${Object.keys(unknownConditions).join(', ')}`);
+    }
+    const activeCount = products.filter(p => p.status !== 'discontinued').length;
+
+    console.log(`Changes: ${changes.added.length} added, ${changes.changed.length} changed, ${changes.removed.length} discontinued, ${changes.reactivated.length} reactivated`);
 
     // Create the final database structure
     const productDatabase = {
-      products: processedProducts,
-      lastUpdated: new Date().toISOString(),
-      totalProducts: processedProducts.length,
+      products: products,
+      lastUpdated: lastUpdated,
+      totalProducts: activeCount,
+      discontinuedProducts: products.length - activeCount,
       categories: {
         dog: dogProducts.length,
         cat: catProducts.length
       },
-      source: "1800petmeds.com",
-      priceDisclaimer: "Prices are estimates based on available data and may vary by location, retailer, and current promotions. Always consult your veterinarian and check with retailers for current pricing.",
+      source: new URL(adapter.baseUrl).hostname.replace(/^www\./, ''),
+      priceDisclaimer: "Prices are observed on retailer pages at the time shown and may vary by location, retailer, and current promotions. Estimated and unknown prices are labelled as such. Always consult your veterinarian and check with retailers for current pricing.",
       version: "2.0",
       scrapeMetadata: {
         dogScrapeResult: {
@@ -215,11 +227,13 @@ exports.handler = async function (event, context) {
         success: true,
         message: 'Product database updated successfully',
         statistics: {
-          totalProducts: processedProducts.length,
+          totalProducts: activeCount,
           dogProducts: dogProducts.length,
           catProducts: catProducts.length,
           lastUpdated: productDatabase.lastUpdated
         },
+        changes: changes,
+        unknownConditions: unknownConditions,
         database: productDatabase
       })
     };
@@ -0,0 +1,135 @@
+/*
+ * Condition Tagging for VetFoodRx
+ *
+ * Tags a product with taxonomy conditions (shared/conditions.js) from what
+ * the product says about itself, never from the rest of the page: retailer
+ * navigation and "customers also bought" blocks mention every condition.
+ *
+ * Each tag records how sure we are and why:
+ *
+ *   { id: 'kidney', confidence: 'high', evidence: [{ source: 'line-code', match: 'k/d' }] }
+ *
+ * - high:   a therapeutic line code in the title (Hill's k/d, Purina NF, ...)
+ * - medium: a condition synonym in the title ("Kidney Care")
+ * - low:    a condition synonym in the description only
+ *
+ * `targetedConditions` lists the high and medium tags; description-only
+ * tags are used when the title gives nothing away.
+ */
+
+const { CONDITIONS, matchConditions } = require('../../shared/conditions');
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+const HILLS = /hill'?s/i;
+const ROYAL_CANIN = /royal\s+canin/i;
+const PURINA = /purina/i;
+
+// Hill's letter codes ("k/d") match in any case
+const hills = (code, conditions) => ({
+  brand: HILLS,
+  code: code,
+  pattern: new RegExp(`\\b${code.replace('/', '\\/').replace(/ /g, '\\s+')}\\b`, 'i'),
+  conditions: conditions
+});
+
+// Purina codes are upper-case pairs ("NF"); matching case keeps words like
+// "en" out
+const purina = (code, conditions) => ({
+  brand: PURINA,
+  code: code,
+  pattern: new RegExp(`\\b${code}\\b`),
+  conditions: conditions
+});
+
+const royalCanin = (code, pattern, conditions) => ({ brand: ROYAL_CANIN, code, pattern, conditions });
+
+// Therapeutic lines and the indications their makers publish for them.
+// Every matching line applies, so "i/d Low Fat" adds to "i/d".
+const THERAPEUTIC_LINES = [
+  hills('a/d', ['critical-care']),
+  hills('c/d', ['urinary', 'struvite', 'oxalate']),
+  hills('d/d', ['skin', 'food-allergy']),
+  hills('h/d', ['cardiac']),
+  hills('i/d', ['digestive']),
+  hills('i/d Low Fat', ['pancreatitis']),
+  hills('j/d', ['joint']),
+  hills('k/d', ['kidney']),
+  hills('l/d', ['hepatic']),
+  hills('m/d', ['diabetes', 'weight']),
+  hills('r/d', ['weight']),
+  hills('s/d', ['urinary', 'struvite']),
+  hills('t/d', ['dental']),
+  hills('u/d', ['urinary', 'oxalate']),
+  hills('w/d', ['weight', 'diabetes', 'digestive']),
+  hills('y/d', ['hyperthyroidism']),
+  hills('z/d', ['skin', 'food-allergy']),
+
+  royalCanin('Renal', /\brenal\b/i, ['kidney']),
+  royalCanin('Gastrointestinal', /\b(?:gastrointestinal|GI)\b/i, ['digestive']),
+  royalCanin('GI Low Fat', /\b(?:gastrointestinal|GI)\s+low\s+fat\b/i, ['pancreatitis']),
+  royalCanin('Urinary SO', /\burinary\s+SO\b/i, ['urinary', 'struvite', 'oxalate']),
+  royalCanin('Hepatic', /\bhepatic\b/i, ['hepatic']),
+  royalCanin('Hydrolyzed Protein', /\bhydrolyzed\s+protein\b/i, ['skin', 'food-allergy']),
+  royalCanin('Selected Protein', /\bselected\s+protein\b/i, ['skin', 'food-allergy']),
+  royalCanin('Ultamino', /\bultamino\b/i, ['skin', 'food-allergy']),
+  royalCanin('Satiety', /\bsatiety\b/i, ['weight']),
+  royalCanin('Glycobalance', /\bglycobalance\b/i, ['diabetes']),
+  royalCanin('Dental', /\bdental\b/i, ['dental']),
+  royalCanin('Recovery', /\brecovery\b/i, ['critical-care']),
+
+  purina('CN', ['critical-care']),
+  purina('DH', ['dental']),
+  purina('DM', ['diabetes']),
+  purina('EL', ['skin', 'food-allergy']),
+  purina('EN', ['digestive']),
+  { brand: PURINA, code: 'EN Low Fat', pattern: /\bEN\b.*\bLow Fat\b/, conditions: ['pancreatitis'] },
+  purina('HA', ['skin', 'food-allergy']),
+  purina('JM', ['joint']),
+  purina('NC', ['neurologic']),
+  purina('NF', ['kidney']),
+  purina('OM', ['weight']),
+  purina('UR', ['urinary', 'struvite', 'oxalate'])
+];
+
+// Therapeutic lines a product title belongs to. The brand is checked
+// against the product brand and title so codes from one maker's range are
+// never read into another's.
+function matchTherapeuticLines(name, brand) {
+  const maker = `${brand || ''} ${name || ''}`;
+  return THERAPEUTIC_LINES.filter(line => line.brand.test(maker) && line.pattern.test(name || ''));
+}
+
+// Tag a product from its name, brand and description. Returns
+// { targetedConditions, conditionTags } with tags in taxonomy order.
+function tagConditions({ name, brand, description } = {}) {
+  const tags = {};
+  const addTag = (id, confidence, evidence) => {
+    const tag = tags[id] || (tags[id] = { id, confidence, evidence: [] });
+    if (CONFIDENCE_RANK[confidence] > CONFIDENCE_RANK[tag.confidence]) tag.confidence = confidence;
+    tag.evidence.push(evidence);
+  };
+
+  matchTherapeuticLines(name, brand).forEach(line => {
+    line.conditions.forEach(id => addTag(id, 'high', { source: 'line-code', match: line.code }));
+  });
+  matchConditions(name).forEach(({ id, synonym }) => {
+    addTag(id, 'medium', { source: 'title', match: synonym });
+  });
+  matchConditions(description).forEach(({ id, synonym }) => {
+    addTag(id, 'low', { source: 'description', match: synonym });
+  });
+
+  const conditionTags = CONDITIONS.filter(condition => tags[condition.id]).map(condition => tags[condition.id]);
+  const fromTitle = conditionTags.filter(tag => tag.confidence !== 'low');
+  return {
+    targetedConditions: (fromTitle.length > 0 ? fromTitle : conditionTags).map(tag => tag.id),
+    conditionTags: conditionTags
+  };
+}
+
+module.exports = {
+  THERAPEUTIC_LINES,
+  matchTherapeuticLines,
+  tagConditions
+};
@@ -0,0 +1,91 @@
+/*
+ * Data Store for VetFoodRx functions
+ *
+ * Keeps JSON documents that functions write at run time and must keep
+ * between runs, such as price watches and alerts. The backend is picked
+ * with the DATA_STORE environment variable:
+ *
+ * - blobs (default in deployed functions): the "vetfoodrx" Netlify Blobs
+ *   store. Requires the `@netlify/blobs` package. Handlers call
+ *   connectDataStore(event) first so Blobs can be reached from a
+ *   Lambda-style function.
+ * - file (default locally): data/<name>.json under the working directory.
+ *   Deployed functions run on a read-only or temporary filesystem, so use
+ *   this only for local development and tests.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STORE_NAME = 'vetfoodrx';
+
+// Deployed functions run on AWS Lambda, which sets the function name
+function storeKind() {
+  return process.env.DATA_STORE || (process.env.AWS_LAMBDA_FUNCTION_NAME ? 'blobs' : 'file');
+}
+
+// Loaded lazily so local runs do not need the package
+function loadBlobs() {
+  try {
+    return require('@netlify/blobs');
+  } catch (error) {
+    throw new Error('DATA_STORE=blobs needs the @netlify/blobs package (npm install @netlify/blobs); set DATA_STORE=file to use local files instead');
+  }
+}
+
+const backends = {
+  blobs: {
+    connect(event) {
+      if (event && event.blobs) loadBlobs().connectLambda(event);
+    },
+    read(name) {
+      return loadBlobs().getStore(STORE_NAME).get(name, { type: 'json' });
+    },
+    write(name, value) {
+      return loadBlobs().getStore(STORE_NAME).setJSON(name, value);
+    }
+  },
+
+  file: {
+    connect() {},
+    async read(name) {
+      try {
+        return JSON.parse(await fs.readFile(path.join(process.cwd(), 'data', `${name}.json`), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    },
+    async write(name, value) {
+      await fs.writeFile(path.join(process.cwd(), 'data', `${name}.json`), JSON.stringify(value, null, 2), 'utf8');
+    }
+  }
+};
+
+function backend() {
+  const kind = storeKind();
+  if (!backends[kind]) {
+    throw new Error(`Unknown data store "${kind}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+  return backends[kind];
+}
+
+// Give the store the Blobs context Netlify passes to a function invocation
+function connectDataStore(event) {
+  backend().connect(event);
+}
+
+// A stored document, or `fallback` when there is none
+async function readDocument(name, fallback) {
+  const document = await backend().read(name);
+  return document === null || document === undefined ? fallback : document;
+}
+
+async function writeDocument(name, value) {
+  await backend().write(name, value);
+}
+
+module.exports = {
+  connectDataStore,
+  readDocument,
+  writeDocument
+};
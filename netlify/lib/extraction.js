@@ -0,0 +1,457 @@
+/*
+ * Product Page Extraction for VetFoodRx
+ *
+ * Retailer-independent parsing of product pages: name, brand, images,
+ * size variants with prices, guaranteed analysis, species, food type,
+ * format, life stage, size class, conditions and features. Retailer
+ * adapters call these helpers and add their own URL handling on top.
+ *
+ * Identity and offer fields come from the page's schema.org Product
+ * (JSON-LD, then microdata) when it publishes one; the regex heuristics are
+ * the fallback. `product.provenance` records, per field, which path
+ * produced the value: 'json-ld', 'microdata' or 'heuristic'. Conditions are
+ * tagged by condition-tagging.js from the title and description alone.
+ */
+
+const { extractStructuredProduct } = require('./structured-data');
+const { observedPrice } = require('./pricing');
+const { tagConditions } = require('./condition-tagging');
+const { detectFoodAttributes } = require('../../shared/food-attributes');
+
+// Guaranteed analysis entries we normalize. Percent nutrients carry the
+// min/max qualifier printed on the label (falling back to the usual AAFCO
+// qualifier when the page omits it); calorie entries are per kg, cup or can.
+const ANALYSIS_NUTRIENTS = [
+  { key: 'protein', pattern: /crude\s+protein/i, qualifier: 'min' },
+  { key: 'fat', pattern: /crude\s+fat/i, qualifier: 'min' },
+  { key: 'fiber', pattern: /crude\s+fib(?:er|re)/i, qualifier: 'max' },
+  { key: 'moisture', pattern: /moisture/i, qualifier: 'max' },
+  { key: 'phosphorus', pattern: /phosphorus/i, qualifier: null },
+  { key: 'sodium', pattern: /sodium/i, qualifier: null }
+];
+
+const CALORIE_PATTERNS = [
+  { key: 'kcalPerKg', unit: 'kcal/kg', pattern: /([0-9][0-9,]*(?:\.[0-9]+)?)\s*kcal\s*(?:ME\s*)?(?:\/|per)\s*kg/i },
+  { key: 'kcalPerCup', unit: 'kcal/cup', pattern: /([0-9][0-9,]*(?:\.[0-9]+)?)\s*kcal\s*(?:ME\s*)?(?:\/|per)\s*(?:8\s*(?:oz|ounce)\.?\s*|standard\s*)?cup/i },
+  { key: 'kcalPerCan', unit: 'kcal/can', pattern: /([0-9][0-9,]*(?:\.[0-9]+)?)\s*kcal\s*(?:ME\s*)?(?:\/|per)\s*(?:[0-9.]+\s*(?:oz|ounce)\.?\s*)?(?:can|tray|pouch)/i }
+];
+
+// Brands we recognise, in priority order. Adapters can pass their own list
+// through `options.brands` when a retailer carries other lines.
+const BRANDS = [
+  { name: "Hill's Prescription Diet", pattern: /Hill's\s*Prescription\s*Diet/i },
+  { name: 'Royal Canin Veterinary Diet', pattern: /Royal\s*Canin(?:\s*Veterinary\s*Diet)?/i },
+  { name: 'Purina Pro Plan Veterinary Diets', pattern: /Purina\s*Pro\s*Plan(?:\s*Veterinary\s*Diets)?/i },
+  { name: 'Blue Buffalo', pattern: /Blue\s*Buffalo/i },
+  { name: 'Wellness', pattern: /Wellness/i },
+  { name: "Hill's Science Diet", pattern: /Science\s*Diet/i }
+];
+
+// Reduce markup to plain text so label tables and bullet lists read the same
+function htmlToText(html) {
+  return html
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&#37;|&percnt;/gi, '%')
+    .replace(/&amp;/gi, '&')
+    .replace(/\s+/g, ' ');
+}
+
+// Parse the guaranteed analysis and calorie content into normalized numbers
+function parseNutritionalAnalysis(html) {
+  const analysis = {};
+  const text = htmlToText(html);
+
+  // Prefer the guaranteed analysis section so unrelated percentages on the
+  // page (discounts, "100% satisfaction") are not picked up
+  const sectionStart = text.search(/guaranteed\s+analysis/i);
+  const section = sectionStart >= 0 ? text.slice(sectionStart, sectionStart + 1500) : text;
+
+  ANALYSIS_NUTRIENTS.forEach(({ key, pattern, qualifier }) => {
+    const labelMatch = section.match(pattern);
+    if (!labelMatch) return;
+
+    // Labels print the value as "Crude Protein (min) 14.0%" or "Crude Protein 14.0% min"
+    const rest = section.slice(labelMatch.index + labelMatch[0].length, labelMatch.index + labelMatch[0].length + 40);
+    const valueMatch = rest.match(/^[^0-9%]*?([0-9]+(?:\.[0-9]+)?)\s*%(\s*\(?\s*(?:min|max))?/i);
+    if (!valueMatch) return;
+
+    const qualifierMatch = rest.slice(0, valueMatch.index + valueMatch[0].length).match(/\b(min|max)/i);
+
+    analysis[key] = {
+      value: parseFloat(valueMatch[1]),
+      unit: '%',
+      qualifier: qualifierMatch ? qualifierMatch[1].toLowerCase() : qualifier
+    };
+  });
+
+  CALORIE_PATTERNS.forEach(({ key, unit, pattern }) => {
+    const match = text.match(pattern);
+    if (match) {
+      analysis[key] = {
+        value: parseFloat(match[1].replace(/,/g, '')),
+        unit: unit
+      };
+    }
+  });
+
+  return analysis;
+}
+
+// Unit spellings found in size options, normalized to the schema's units
+const SIZE_UNITS = {
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  kg: 'kg', kilogram: 'kg', kilograms: 'kg',
+  g: 'g', gram: 'g', grams: 'g'
+};
+
+// Parse size text such as "8.5 lb bag", "12 x 13 oz cans" or "5.5 oz, case of 24"
+function parseSizeText(text) {
+  const match = text.match(/(?:([0-9]+)\s*x\s*)?([0-9]+(?:\.[0-9]+)?)\s*-?\s*(lbs?|pounds?|oz|ounces?|kg|kilograms?|g|grams?)\b/i);
+  if (!match) return null;
+
+  let count = match[1] ? parseInt(match[1], 10) : 1;
+  if (!match[1]) {
+    const caseMatch = text.match(/(?:case|pack)\s*of\s*([0-9]+)|\b([0-9]+)\s*-?\s*(?:count|ct|cans|pouches|trays)\b/i);
+    if (caseMatch) count = parseInt(caseMatch[1] || caseMatch[2], 10);
+  }
+
+  return {
+    size: parseFloat(match[2]),
+    unit: SIZE_UNITS[match[3].toLowerCase()],
+    count: count
+  };
+}
+
+function variantKey(variant) {
+  return `${variant.count}x${variant.size}${variant.unit}`;
+}
+
+// Extract one variant per size option. Options are <option> elements or
+// size/variant swatches; each carries its own price (data-price or a "$"
+// amount in the option text), SKU and stock state. When the page has no
+// recognizable options, sizes are paired with the price printed beside them.
+function extractVariants(html) {
+  const variants = new Map();
+  const optionPattern = /<(option|li|button|label|a)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+
+  [...html.matchAll(optionPattern)].forEach(match => {
+    const [, tag, attrs, inner] = match;
+    const text = htmlToText(inner).trim();
+    if (!text || text.length > 80) return;
+
+    // Outside <select>, only elements marked up as size/variant choices count
+    if (tag.toLowerCase() !== 'option' && !/size|variant|option|sku|data-price/i.test(attrs)) return;
+
+    const parsed = parseSizeText(text);
+    if (!parsed) return;
+
+    const attrPrice = attrs.match(/data-price\s*=\s*"\$?([0-9]+(?:\.[0-9]+)?)"/i);
+    const textPrice = text.match(/\$\s*([0-9]+(?:\.[0-9]{2})?)/);
+    const price = parseFloat((attrPrice || textPrice || [])[1]);
+    const skuMatch = attrs.match(/data-(?:sku|variant-id|product-id)\s*=\s*"([^"]+)"/i);
+    const outOfStock = /\bdisabled\b/i.test(attrs) || /out of stock|sold out|unavailable/i.test(text);
+
+    const variant = {
+      ...parsed,
+      price: price > 0 ? price : null,
+      sku: skuMatch ? skuMatch[1] : null,
+      availability: outOfStock ? 'out-of-stock' : (price > 0 ? 'in-stock' : 'unknown')
+    };
+
+    const key = variantKey(variant);
+    const existing = variants.get(key);
+    if (!existing || (existing.price === null && variant.price !== null)) {
+      variants.set(key, variant);
+    }
+  });
+
+  // Fill in prices printed next to the size, e.g. "8.5 lb bag $54.99"
+  const sizePricePattern = /((?:[0-9]+\s*x\s*)?[0-9]+(?:\.[0-9]+)?\s*(?:lb|pound|kg|kilogram|oz|ounce)s?)[^$0-9]{0,80}\$\s*([0-9]+\.[0-9]{2})/gi;
+  [...htmlToText(html).matchAll(sizePricePattern)].forEach(match => {
+    const parsed = parseSizeText(match[1]);
+    const price = parseFloat(match[2]);
+    if (!parsed || price <= 5 || price >= 500) return;
+
+    const key = variantKey(parsed);
+    const existing = variants.get(key);
+    if (!existing) {
+      variants.set(key, { ...parsed, price: price, sku: null, availability: 'unknown' });
+    } else if (existing.price === null) {
+      existing.price = price;
+    }
+  });
+
+  return Array.from(variants.values()).slice(0, 8);
+}
+
+// Pick the variant matching the requested size, or the cheapest priced one
+function selectVariantPrice(variants, size) {
+  const priced = variants.filter(v => v.price !== null);
+  if (size) {
+    const wanted = parseSizeText(size);
+    const match = wanted && priced.find(v =>
+      v.unit === wanted.unit && v.count === wanted.count && Math.abs(v.size - wanted.size) < 0.05
+    );
+    return match ? match.price : null;
+  }
+  return priced.length > 0 ? Math.min(...priced.map(v => v.price)) : null;
+}
+
+// Turn structured offers into variants. Offers without a size in their name
+// fall back to the product name when there is only one offer; if any offer
+// still has no size the offers cannot stand in for size variants.
+function offersToVariants(offers, productName) {
+  const variants = new Map();
+  for (const offer of offers) {
+    const parsed = parseSizeText(offer.name || '') ||
+      (offers.length === 1 ? parseSizeText(productName || '') : null);
+    if (!parsed) return [];
+
+    const variant = {
+      ...parsed,
+      price: offer.price,
+      sku: offer.sku,
+      availability: offer.availability === 'unknown' && offer.price !== null ? 'in-stock' : offer.availability
+    };
+    const existing = variants.get(variantKey(variant));
+    if (!existing || (existing.price === null && variant.price !== null)) {
+      variants.set(variantKey(variant), variant);
+    }
+  }
+  return Array.from(variants.values());
+}
+
+// Canonical brand name for a structured brand string, so a page whose brand
+// is just "Hill's" still groups with the rest of the catalogue by product line
+function canonicalBrand(name, productName, brands) {
+  const brand = brands.find(b => b.pattern.test(`${name} ${productName || ''}`));
+  return brand ? brand.name : name;
+}
+
+function absoluteUrl(url, baseUrl) {
+  if (url.startsWith('//')) return 'https:' + url;
+  if (url.startsWith('/')) return (baseUrl || '') + url;
+  return url;
+}
+
+// Generic product page extraction used by retailer adapters. `options.baseUrl`
+// resolves relative image URLs and `options.retailer` tags the product.
+function extractProductData(html, productUrl, options = {}) {
+  const product = {
+    id: null,
+    name: null,
+    brand: null,
+    description: null,
+    features: [],
+    sku: null,
+    gtin: null,
+    image: null,
+    images: [],
+    price: null,
+    variants: [],
+    species: null,
+    targetedConditions: [],
+    conditionTags: [],
+    type: null,
+    formats: [],
+    lifeStages: [],
+    sizeClasses: [],
+    nutritionalAnalysis: {},
+    feedingGuide: null,
+    link: productUrl,
+    retailer: options.retailer || null,
+    availability: 'in-stock',
+    provenance: {},
+    lastUpdated: new Date().toISOString()
+  };
+
+  // Set a field and record which extraction path produced it
+  const setField = (field, value, source) => {
+    product[field] = value;
+    product.provenance[field] = source;
+  };
+
+  try {
+    const structured = extractStructuredProduct(html);
+    const brands = options.brands || BRANDS;
+
+    if (structured) {
+      if (structured.name) setField('name', structured.name, structured.source);
+      if (structured.brand) setField('brand', canonicalBrand(structured.brand, structured.name, brands), structured.source);
+      if (structured.sku) setField('sku', structured.sku, structured.source);
+      if (structured.gtin) setField('gtin', structured.gtin, structured.source);
+      if (structured.description) setField('description', structured.description, structured.source);
+      if (structured.images.length > 0) {
+        const images = structured.images.map(url => absoluteUrl(url, options.baseUrl));
+        setField('image', images[0], structured.source);
+        setField('images', images, structured.source);
+      }
+    }
+
+    // Extract product ID from URL or page
+    const urlMatch = productUrl.match(/\/([^\/]+)(?:-product)?(?:\.html)?$/);
+    if (urlMatch) {
+      product.id = urlMatch[1].replace(/-product$/, '');
+    }
+
+    // Extract product name
+    const namePatterns = [
+      /<h1[^>]*class="[^"]*product[^"]*title[^"]*"[^>]*>([^<]+)<\/h1>/i,
+      /<h1[^>]*>([^<]+(?:Dog|Cat|Pet).*?Food[^<]*)<\/h1>/i,
+      /<title>([^<]+(?:Dog|Cat|Pet).*?Food[^<]*)/i,
+      /"name":\s*"([^"]+)"/i
+    ];
+    
+    for (const pattern of namePatterns) {
+      const match = !product.name && html.match(pattern);
+      if (match) {
+        setField('name', match[1].trim().replace(/\s+/g, ' '), 'heuristic');
+        break;
+      }
+    }
+
+    // Extract brand information
+    const brand = !product.brand && brands.find(b => b.pattern.test(html) || (product.name && b.pattern.test(product.name)));
+    if (brand) {
+      setField('brand', brand.name, 'heuristic');
+    }
+
+    // Extract high-quality product image
+    const imagePatterns = [
+      /<img[^>]+class="[^"]*product[^"]*image[^"]*"[^>]+src="([^"]+)"/i,
+      /<img[^>]+src="([^"]+)"[^>]*class="[^"]*product[^"]*image[^"]*"/i,
+      /<img[^>]+src="([^"]+)"[^>]*alt="[^"]*(?:dog|cat|pet).*?food[^"]*"/i,
+      /"image":\s*"([^"]+)"/i
+    ];
+
+    for (const pattern of imagePatterns) {
+      const match = !product.image && html.match(pattern);
+      if (match) {
+        const imageUrl = absoluteUrl(match[1], options.baseUrl);
+        setField('image', imageUrl, 'heuristic');
+        setField('images', [imageUrl], 'heuristic');
+        break;
+      }
+    }
+
+    // Extract size variants. Structured offers win when each one names its
+    // size; otherwise sizes come from the page's size options.
+    const offers = structured ? structured.offers : [];
+    const offerVariants = offersToVariants(offers, product.name);
+    if (offerVariants.length > 0) {
+      setField('variants', offerVariants, structured.source);
+    } else {
+      const variants = extractVariants(html);
+      if (variants.length > 0) setField('variants', variants, 'heuristic');
+    }
+
+    // Price record from observed size prices, else from unsized offers.
+    // Pages with no price leave `price` null; nothing is guessed here.
+    const priceMeta = { retailer: product.retailer, scrapedAt: product.lastUpdated };
+    const variantPrice = observedPrice(product.variants, { ...priceMeta, source: product.provenance.variants });
+    const offerPrice = structured && observedPrice(offers, { ...priceMeta, source: structured.source });
+    if (variantPrice) {
+      setField('price', variantPrice, variantPrice.source);
+    } else if (offerPrice) {
+      setField('price', offerPrice, offerPrice.source);
+    }
+
+    // Overall availability: in stock if any size or offer is
+    const stockStates = offerVariants.length > 0 || offers.length === 0
+      ? product.variants.map(v => v.availability)
+      : offers.map(o => o.availability);
+    if (stockStates.includes('in-stock')) {
+      setField('availability', 'in-stock', offers.length > 0 ? structured.source : 'heuristic');
+    } else if (stockStates.length > 0 && stockStates.every(state => state === 'out-of-stock')) {
+      setField('availability', 'out-of-stock', offers.length > 0 ? structured.source : 'heuristic');
+    }
+
+    // Determine species
+    if (/\bdog\b/i.test(product.name || '') || /canine/i.test(html)) {
+      setField('species', 'dog', 'heuristic');
+    } else if (/\bcat\b/i.test(product.name || '') || /feline/i.test(html)) {
+      setField('species', 'cat', 'heuristic');
+    }
+
+    // Determine food type
+    if (/\bdry\b/i.test(product.name || '') || /kibble/i.test(html)) {
+      setField('type', 'dry', 'heuristic');
+    } else if (/\bwet\b/i.test(product.name || '') || /canned/i.test(html) || /\bcan\b/i.test(product.name || '')) {
+      setField('type', 'wet', 'heuristic');
+    }
+
+    // Extract guaranteed analysis and calorie content
+    const analysis = parseNutritionalAnalysis(html);
+    if (Object.keys(analysis).length > 0) {
+      setField('nutritionalAnalysis', analysis, 'heuristic');
+    }
+
+    // Extract features/benefits
+    const featurePatterns = [
+      /<li[^>]*>([^<]+(?:nutrition|support|health|benefit|formula|ingredient)[^<]*)<\/li>/gi,
+      /<p[^>]*>([^<]+(?:clinically|proven|formulated|designed|helps|supports)[^<]*)<\/p>/gi
+    ];
+
+    const foundFeatures = new Set();
+    for (const pattern of featurePatterns) {
+      const matches = [...html.matchAll(pattern)];
+      matches.forEach(match => {
+        const feature = match[1].trim().replace(/\s+/g, ' ');
+        if (feature.length > 20 && feature.length < 200) {
+          foundFeatures.add(feature);
+        }
+      });
+    }
+    if (foundFeatures.size > 0) {
+      setField('features', Array.from(foundFeatures).slice(0, 4), 'heuristic');
+    }
+
+    // Extract description
+    const descPatterns = [
+      /<meta[^>]+name="description"[^>]+content="([^"]+)"/i,
+      /<p[^>]*class="[^"]*description[^"]*"[^>]*>([^<]+)<\/p>/i
+    ];
+
+    for (const pattern of descPatterns) {
+      const match = !product.description && html.match(pattern);
+      if (match) {
+        setField('description', match[1].trim().replace(/\s+/g, ' '), 'heuristic');
+        break;
+      }
+    }
+
+    // Tag conditions from the title, line code and description only
+    const { targetedConditions, conditionTags } = tagConditions(product);
+    if (conditionTags.length > 0) {
+      setField('targetedConditions', targetedConditions, 'heuristic');
+      setField('conditionTags', conditionTags, 'heuristic');
+    }
+
+    // Format, life stage and size class from the same text; a format in
+    // the title also fills in a food type the page did not state
+    const attributes = detectFoodAttributes(product);
+    if (attributes.type && !product.type) setField('type', attributes.type, 'heuristic');
+    ['formats', 'lifeStages', 'sizeClasses'].forEach(field => {
+      if (attributes[field].length > 0) setField(field, attributes[field], 'heuristic');
+    });
+
+    return product;
+  } catch (error) {
+    console.error('Error extracting product data:', error);
+    return product;
+  }
+}
+
+module.exports = {
+  BRANDS,
+  htmlToText,
+  parseNutritionalAnalysis,
+  parseSizeText,
+  extractVariants,
+  selectVariantPrice,
+  extractProductData
+};
@@ -0,0 +1,84 @@
+/*
+ * HTTP helpers shared by the scraping functions and retailer adapters.
+ *
+ * Every page request goes through fetchPage(). Tests swap the implementation
+ * with setFetchImplementation() so handlers run against saved fixtures on a
+ * local stub server instead of the live retailers.
+ */
+
+const http = require('http');
+const https = require('https');
+
+let fetchImplementation = null;
+
+// Replace the page fetcher with `fn(url, retries)`; pass null to restore the
+// live one
+function setFetchImplementation(fn) {
+  fetchImplementation = fn || null;
+}
+
+function fetchPage(url, retries = 3) {
+  return fetchImplementation ? fetchImplementation(url, retries) : requestPage(url, retries);
+}
+
+// Enhanced fetch function with proper headers and error handling
+function requestPage(url, retries = 3) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'DNT': '1',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1'
+      }
+    };
+
+    const client = url.startsWith('http:') ? http : https;
+    const request = client.get(url, options, (res) => {
+      let data = '';
+      
+      // Handle different encodings
+      res.setEncoding('utf8');
+      
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          // Handle redirects
+          requestPage(new URL(res.headers.location, url).href, retries).then(resolve).catch(reject);
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+        }
+      });
+    });
+
+    request.on('error', (error) => {
+      if (retries > 0) {
+        console.log(`Retrying request to ${url}, attempts left: ${retries - 1}`);
+        setTimeout(() => {
+          requestPage(url, retries - 1).then(resolve).catch(reject);
+        }, 1000);
+      } else {
+        reject(error);
+      }
+    });
+
+    request.setTimeout(30000, () => {
+      request.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+module.exports = {
+  fetchPage,
+  requestPage,
+  setFetchImplementation
+};
@@ -0,0 +1,94 @@
+/*
+ * Minimal JSON Schema validator.
+ *
+ * Supports the keywords data/products.schema.json uses: local $ref
+ * ("#/definitions/..."), type (including "integer", "null" and type arrays),
+ * enum, required, properties, items, minimum, exclusiveMinimum, minItems,
+ * minLength and format "date-time".
+ * Unknown keywords are ignored, as the spec allows.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref "${ref}"`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+// Validate `value` against `schema`, pushing "path: message" strings onto
+// `errors`. Returns the errors array.
+function validate(value, schema, path = '', errors = [], root = schema) {
+  if (schema.$ref) {
+    return validate(value, resolveRef(schema.$ref, root), path, errors, root);
+  }
+
+  const at = path || '(root)';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${at}: must be an ISO date-time`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, errors, root));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path ? path + '.' : ''}${key}: is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        validate(value[key], propertySchema, path ? `${path}.${key}` : key, errors, root);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
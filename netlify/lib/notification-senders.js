@@ -0,0 +1,75 @@
+/*
+ * Notification Senders for VetFoodRx price alerts
+ *
+ * A sender delivers one triggered alert: `send(alert, watch)` resolves to
+ * `{ delivered, reason }`. The sender is picked with the NOTIFICATION_SENDER
+ * environment variable:
+ *
+ * - log (default): writes the alert to the function log; use locally
+ * - webpush: Web Push to the subscription stored on the watch. Requires the
+ *   `web-push` package and VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and
+ *   VAPID_SUBJECT environment variables; createSender() throws naming
+ *   whichever is missing.
+ *
+ * Other channels (email, SMS) can be added with registerSender().
+ */
+
+const senderFactories = {
+  log: () => ({
+    name: 'log',
+    send: async (alert) => {
+      console.log(`[price-alert] ${alert.productName} (${alert.variant || 'any size'}) is $${alert.price} (target $${alert.targetPrice})`);
+      return { delivered: false, reason: 'log sender' };
+    }
+  }),
+
+  webpush: () => {
+    // Loaded lazily so deployments without push do not need the package
+    let webpush;
+    try {
+      webpush = require('web-push');
+    } catch (error) {
+      throw new Error('NOTIFICATION_SENDER=webpush needs the web-push package (npm install web-push); use the log sender until it is installed');
+    }
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+      throw new Error('NOTIFICATION_SENDER=webpush needs VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY to be set');
+    }
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:alerts@vetfoodrx.app',
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+
+    return {
+      name: 'webpush',
+      send: async (alert, watch) => {
+        if (!watch.subscription) {
+          return { delivered: false, reason: 'no push subscription' };
+        }
+        await webpush.sendNotification(watch.subscription, JSON.stringify({
+          title: 'Price drop on a watched diet',
+          body: `${alert.productName} (${alert.variant || 'any size'}) is now $${alert.price.toFixed(2)}`,
+          url: `/?alert=${encodeURIComponent(alert.id)}`
+        }));
+        return { delivered: true };
+      }
+    };
+  }
+};
+
+function registerSender(name, factory) {
+  senderFactories[name] = factory;
+}
+
+function createSender(name = process.env.NOTIFICATION_SENDER || 'log') {
+  const factory = senderFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown notification sender "${name}". Available: ${Object.keys(senderFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  registerSender,
+  createSender
+};
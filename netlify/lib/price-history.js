@@ -0,0 +1,132 @@
+/*
+ * Price History Store for VetFoodRx
+ *
+ * Keeps an append-only record of every observed variant price in
+ * data/price-history.json so price movement survives the weekly refresh of
+ * products.json. Points are keyed by product id, then variant label
+ * (e.g. "17.6 lb" or "12 x 13 oz"), then retailer:
+ *
+ *   series[productId][variantLabel][retailer] = [{ date, price, availability }]
+ *
+ * Only observed variant prices are recorded; products without per-size
+ * pricing contribute nothing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HISTORY_PATH = path.join(process.cwd(), 'data', 'price-history.json');
+
+// Label used as the variant key; matches the size labels shown in the app
+function variantLabel(variant) {
+  const size = `${variant.size} ${variant.unit}`;
+  return variant.count > 1 ? `${variant.count} x ${size}` : size;
+}
+
+// Retailer id for a product, e.g. "1800petmeds" for www.1800petmeds.com links
+function retailerFor(product) {
+  if (product.retailer) return product.retailer;
+  try {
+    return new URL(product.link).hostname.replace(/^www\./, '').replace(/\.com$/, '');
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+// Products whose prices belong in the history, under their database ids.
+// Discontinued products keep their last scraped variants, which are not new
+// prices. Raw scrapes (`scraped: true`) carry URL-derived ids, so they are
+// given the retailer adapter's stable id that products.json uses.
+function historyProducts(products, { scraped = false } = {}) {
+  // Required here: the retailers load extraction and pricing, which need
+  // variantLabel from this module
+  const { getAdapter } = require('./retailers');
+  return products
+    .filter(product => product.status !== 'discontinued')
+    .map(product => {
+      if (!scraped) return product;
+      try {
+        return { ...product, id: getAdapter(retailerFor(product)).productId(product) };
+      } catch (error) {
+        return { ...product, id: null };
+      }
+    })
+    .filter(product => product.id);
+}
+
+function emptyHistory() {
+  return {
+    version: '1.0',
+    lastUpdated: null,
+    series: {}
+  };
+}
+
+async function loadPriceHistory(filePath = HISTORY_PATH) {
+  try {
+    const contents = await fs.readFile(filePath, 'utf8');
+    const history = JSON.parse(contents);
+    return history && history.series ? history : emptyHistory();
+  } catch (error) {
+    console.log('No existing price history, starting a new one');
+    return emptyHistory();
+  }
+}
+
+// Append one point per priced variant. Existing points are never modified.
+function appendPriceHistory(history, products, timestamp = new Date().toISOString()) {
+  let pointsAdded = 0;
+
+  products.forEach(product => {
+    if (!product.id || !Array.isArray(product.variants)) return;
+    const retailer = retailerFor(product);
+
+    product.variants.forEach(variant => {
+      if (typeof variant.price !== 'number') return;
+
+      const productSeries = history.series[product.id] || (history.series[product.id] = {});
+      const label = variantLabel(variant);
+      const variantSeries = productSeries[label] || (productSeries[label] = {});
+      const points = variantSeries[retailer] || (variantSeries[retailer] = []);
+
+      points.push({
+        date: timestamp,
+        price: variant.price,
+        availability: variant.availability || 'unknown'
+      });
+      pointsAdded++;
+    });
+  });
+
+  history.lastUpdated = timestamp;
+  return pointsAdded;
+}
+
+async function savePriceHistory(history, filePath = HISTORY_PATH) {
+  await fs.writeFile(filePath, JSON.stringify(history, null, 2), 'utf8');
+}
+
+// Load, append and save in one step; used by the scheduled and manual updaters
+async function recordPriceHistory(products, timestamp) {
+  try {
+    const history = await loadPriceHistory();
+    const pointsAdded = appendPriceHistory(history, products, timestamp);
+    await savePriceHistory(history);
+    console.log(`Price history updated: ${pointsAdded} points added`);
+    return { success: true, pointsAdded };
+  } catch (error) {
+    console.error('Error recording price history:', error);
+    return { success: false, pointsAdded: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  HISTORY_PATH,
+  variantLabel,
+  retailerFor,
+  historyProducts,
+  loadPriceHistory,
+  appendPriceHistory,
+  savePriceHistory,
+  recordPriceHistory
+};
@@ -0,0 +1,160 @@
+/*
+ * Price Watches for VetFoodRx
+ *
+ * A watch asks to be told when a product (optionally one size of it) drops
+ * to a target price. Watches are kept in the "price-watches" document of the
+ * data store (see data-store.js) and triggered alerts are appended to
+ * "price-alerts". The scheduled update calls processPriceWatches() after
+ * each refresh.
+ *
+ * Watch:  { id, clientId, productId, variant, targetPrice, subscription,
+ *           createdAt, lastTriggeredAt, lastTriggeredPrice, rearmCount }
+ * Alert:  { id, watchId, clientId, productId, productName, variant, price,
+ *           targetPrice, triggeredAt, delivered, deliveryNote }
+ *
+ * `variant` is a size label such as "17.6 lb"; null watches every size and
+ * uses the cheapest.
+ */
+
+const crypto = require('crypto');
+const { variantLabel } = require('./price-history');
+const { createSender } = require('./notification-senders');
+const { connectDataStore, readDocument, writeDocument } = require('./data-store');
+const { checkWatch, alertId } = require('../../shared/price-watches');
+
+async function loadWatches() {
+  const data = await readDocument('price-watches', { watches: [] });
+  return data.watches || [];
+}
+
+async function saveWatches(watches) {
+  await writeDocument('price-watches', { watches });
+}
+
+async function loadAlerts() {
+  const data = await readDocument('price-alerts', { alerts: [] });
+  return data.alerts || [];
+}
+
+async function saveAlerts(alerts) {
+  await writeDocument('price-alerts', { alerts });
+}
+
+function createWatch({ clientId, productId, variant, targetPrice, subscription }) {
+  return {
+    id: crypto.randomUUID(),
+    clientId,
+    productId,
+    variant: variant || null,
+    targetPrice: parseFloat(targetPrice),
+    subscription: subscription || null,
+    createdAt: new Date().toISOString(),
+    lastTriggeredAt: null,
+    lastTriggeredPrice: null,
+    rearmCount: 0
+  };
+}
+
+// Current price for a watch: the watched size, or the cheapest priced size
+function currentPrice(product, watch) {
+  const priced = (product.variants || []).filter(v => typeof v.price === 'number');
+  const candidates = watch.variant
+    ? priced.filter(v => variantLabel(v) === watch.variant)
+    : priced;
+  if (candidates.length === 0) return null;
+  return Math.min(...candidates.map(v => v.price));
+}
+
+// Return alerts for watches whose price is at or below target, following
+// the rule in shared/price-watches.js. Watches are updated in place: ones
+// that fire remember the price, ones above target are re-armed.
+function evaluateWatches(watches, products, timestamp = new Date().toISOString()) {
+  const productsById = new Map(products.map(p => [p.id, p]));
+  const alerts = [];
+
+  watches.forEach(watch => {
+    const product = productsById.get(watch.productId);
+    if (!product) return;
+
+    const price = currentPrice(product, watch);
+    const { fires, lastTriggeredPrice, rearmCount } = checkWatch(watch, price);
+    watch.lastTriggeredPrice = lastTriggeredPrice;
+    watch.rearmCount = rearmCount;
+    if (!fires) return;
+
+    watch.lastTriggeredAt = timestamp;
+
+    alerts.push({
+      id: alertId(watch.id, rearmCount, price),
+      watchId: watch.id,
+      clientId: watch.clientId,
+      productId: product.id,
+      productName: product.name,
+      variant: watch.variant,
+      price: price,
+      targetPrice: watch.targetPrice,
+      triggeredAt: timestamp,
+      delivered: false,
+      deliveryNote: null
+    });
+  });
+
+  return alerts;
+}
+
+// Evaluate all watches against freshly scraped products, deliver triggered
+// alerts through the configured sender and store both documents. Pass the
+// function's `options.event` so the data store can connect, and
+// `options.sender` to stub delivery.
+async function processPriceWatches(products, options = {}) {
+  const timestamp = options.timestamp || new Date().toISOString();
+
+  try {
+    connectDataStore(options.event);
+    const watches = await loadWatches();
+    const armedAt = watches.map(w => w.rearmCount || 0);
+    const triggered = evaluateWatches(watches, products, timestamp);
+    if (triggered.length === 0) {
+      // Keep watches that were re-armed by a price above target
+      if (watches.some((w, index) => w.rearmCount !== armedAt[index])) {
+        await saveWatches(watches);
+      }
+      return { success: true, evaluated: watches.length, triggered: 0, delivered: 0 };
+    }
+
+    const sender = options.sender || createSender();
+    const watchesById = new Map(watches.map(w => [w.id, w]));
+    let delivered = 0;
+
+    for (const alert of triggered) {
+      try {
+        const result = await sender.send(alert, watchesById.get(alert.watchId));
+        alert.delivered = Boolean(result && result.delivered);
+        alert.deliveryNote = result && result.reason ? result.reason : null;
+        if (alert.delivered) delivered++;
+      } catch (error) {
+        console.error(`Error delivering alert ${alert.id}:`, error.message);
+        alert.deliveryNote = error.message;
+      }
+    }
+
+    const alerts = await loadAlerts();
+    await saveAlerts([...alerts, ...triggered]);
+    await saveWatches(watches);
+
+    console.log(`Price watches: ${triggered.length} triggered, ${delivered} delivered via ${sender.name}`);
+    return { success: true, evaluated: watches.length, triggered: triggered.length, delivered };
+  } catch (error) {
+    console.error('Error processing price watches:', error);
+    return { success: false, evaluated: 0, triggered: 0, delivered: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  loadWatches,
+  saveWatches,
+  loadAlerts,
+  createWatch,
+  evaluateWatches,
+  processPriceWatches
+};
@@ -0,0 +1,111 @@
+/*
+ * Price Records for VetFoodRx
+ *
+ * A product's `price` says where its number came from, so the app never
+ * presents a guess as a retailer price:
+ *
+ *   {
+ *     status: 'observed' | 'unknown',
+ *     amount,            // lowest observed price, null when unknown
+ *     range, average,    // across observed sizes
+ *     source,            // extraction path: 'json-ld', 'microdata' or 'heuristic'
+ *     retailer,
+ *     confidence,        // 'high' for structured data, 'medium' for page heuristics
+ *     scrapedAt,
+ *     note
+ *   }
+ *
+ * Products in older data carry `{ estimate, range, note }` without a status;
+ * the app labels those as estimates.
+ *
+ * Unpriced sizes can get a `priceEstimate` derived from the product's other
+ * priced sizes (see estimateVariantPrices). It is never copied into `price`.
+ */
+
+const { variantLabel } = require('./price-history');
+
+const GRAMS_PER_UNIT = { lb: 453.592, oz: 28.3495, kg: 1000, g: 1 };
+
+const PRICE_CONFIDENCE = {
+  'json-ld': 'high',
+  microdata: 'high',
+  heuristic: 'medium'
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Price record for the observed prices on variants or offers, or null when
+// none of them is priced
+function observedPrice(items, meta = {}) {
+  const prices = items.map(item => item.price).filter(p => typeof p === 'number').sort((a, b) => a - b);
+  if (prices.length === 0) return null;
+
+  const low = prices[0];
+  const high = prices[prices.length - 1];
+  return {
+    status: 'observed',
+    amount: low,
+    range: low === high ? `$${low}` : `$${low} - $${high}`,
+    average: roundCents(prices.reduce((sum, p) => sum + p, 0) / prices.length),
+    source: meta.source || null,
+    retailer: meta.retailer || null,
+    confidence: PRICE_CONFIDENCE[meta.source] || 'low',
+    scrapedAt: meta.scrapedAt || new Date().toISOString(),
+    note: prices.length > 1 ? 'Lowest size price - see variants for per-size pricing' : 'Observed retailer price'
+  };
+}
+
+// Record for a product whose page showed no price
+function unknownPrice(meta = {}) {
+  return {
+    status: 'unknown',
+    amount: null,
+    range: null,
+    average: null,
+    source: null,
+    retailer: meta.retailer || null,
+    confidence: null,
+    scrapedAt: meta.scrapedAt || new Date().toISOString(),
+    note: 'No price found on the retailer page'
+  };
+}
+
+function variantGrams(variant) {
+  const unitGrams = GRAMS_PER_UNIT[variant.unit];
+  return unitGrams ? variant.size * unitGrams * (variant.count || 1) : null;
+}
+
+// Add a `priceEstimate` to each unpriced size, scaled from the median price
+// per gram of the product's priced sizes. Bulk discounts are not modelled,
+// so the estimate is labelled and kept apart from observed prices.
+function estimateVariantPrices(variants) {
+  const perGram = variants
+    .filter(v => typeof v.price === 'number' && variantGrams(v))
+    .map(v => ({ label: variantLabel(v), value: v.price / variantGrams(v) }))
+    .sort((a, b) => a.value - b.value);
+  if (perGram.length === 0) return variants;
+
+  const middle = Math.floor(perGram.length / 2);
+  const medianPerGram = perGram.length % 2
+    ? perGram[middle].value
+    : (perGram[middle - 1].value + perGram[middle].value) / 2;
+
+  return variants.map(variant => {
+    if (typeof variant.price === 'number' || !variantGrams(variant)) return variant;
+    return {
+      ...variant,
+      priceEstimate: {
+        amount: roundCents(medianPerGram * variantGrams(variant)),
+        method: 'unit-price',
+        basedOn: perGram.map(p => p.label),
+        note: `Estimated from the unit price of ${perGram.map(p => p.label).join(', ')}`
+      }
+    };
+  });
+}
+
+module.exports = {
+  observedPrice,
+  unknownPrice,
+  estimateVariantPrices
+};
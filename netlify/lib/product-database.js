@@ -0,0 +1,231 @@
+/*
+ * Product Database Store for VetFoodRx
+ *
+ * Single write path for data/products.json. Before saving, a freshly scraped
+ * database must pass data/products.schema.json and two sanity thresholds
+ * against the file it would replace:
+ *
+ * - the product count may not drop by more than MAX_PRODUCT_DROP_PERCENT
+ *   (default 30)
+ * - no more than MAX_MISSING_PRICE_PERCENT (default 50) of products may be
+ *   without any price
+ *
+ * A database that fails is not written, so the previous file stays live, and
+ * the validation report explains why.
+ *
+ * Refreshes merge into the existing database rather than replacing it (see
+ * mergeProducts): products keep their ids and hand-maintained fields, and
+ * products missing from a scrape are marked discontinued, not deleted.
+ *
+ * Condition tags are stored as ids from the shared taxonomy
+ * (shared/conditions.js). Tags outside it are kept but reported as
+ * validation warnings so the taxonomy can be extended.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { validate } = require('./json-schema');
+const schema = require('../../data/products.schema.json');
+const { normalizeConditions } = require('../../shared/conditions');
+
+const DATABASE_PATH = path.join(process.cwd(), 'data', 'products.json');
+
+const DEFAULT_THRESHOLDS = {
+  maxProductDropPercent: parseFloat(process.env.MAX_PRODUCT_DROP_PERCENT || '30'),
+  maxMissingPricePercent: parseFloat(process.env.MAX_MISSING_PRICE_PERCENT || '50')
+};
+
+const MAX_REPORTED_ERRORS = 50;
+
+async function loadProductDatabase(filePath = DATABASE_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// A product has a price when a size or the price record carries an observed
+// price (or, in older data, an estimate). Size estimates do not count.
+function hasPrice(product) {
+  const variantPriced = (product.variants || []).some(v => typeof v.price === 'number');
+  const price = product.price;
+  if (variantPriced || !price) return variantPriced;
+  return price.status ? price.status === 'observed' : typeof price.estimate === 'number';
+}
+
+// Fields a refresh never counts as a change on its own, at any depth
+const VOLATILE_FIELDS = ['lastUpdated', 'lastSeen', 'scrapedAt', 'provenance'];
+const stableJson = (value) => JSON.stringify(value, (key, item) => (VOLATILE_FIELDS.includes(key) ? undefined : item));
+
+function isActive(product) {
+  return product.status !== 'discontinued';
+}
+
+function changedFields(before, after) {
+  return Object.keys(after).filter(field =>
+    !VOLATILE_FIELDS.includes(field) && stableJson(before[field]) !== stableJson(after[field])
+  );
+}
+
+// Merge freshly scraped products into the existing ones by id. Scraped
+// values replace the stored ones except for fields listed in a product's
+// `curatedFields`; fields the scraper does not produce are kept. Existing
+// products absent from the scrape are marked discontinued. Returns
+// { products, changes } where changes lists added, changed, removed and
+// reactivated products.
+function mergeProducts(existingProducts, freshProducts, timestamp = new Date().toISOString()) {
+  const freshById = new Map(freshProducts.map(p => [p.id, p]));
+  const existingIds = new Set(existingProducts.map(p => p.id));
+  const changes = { added: [], changed: [], removed: [], reactivated: [], unchanged: 0 };
+  const summary = (product, extra = {}) => ({ id: product.id, name: product.name, ...extra });
+
+  const merged = existingProducts.map(existing => {
+    const fresh = freshById.get(existing.id);
+
+    if (!fresh) {
+      if (!isActive(existing)) return existing;
+      changes.removed.push(summary(existing));
+      return { ...existing, status: 'discontinued', discontinuedAt: timestamp };
+    }
+
+    const curated = existing.curatedFields || [];
+    const scraped = Object.fromEntries(Object.entries(fresh).filter(([field]) => !curated.includes(field)));
+    const product = {
+      ...existing,
+      ...scraped,
+      status: 'active',
+      firstSeen: existing.firstSeen || existing.lastUpdated || timestamp,
+      lastSeen: timestamp
+    };
+    delete product.discontinuedAt;
+
+    if (!isActive(existing)) {
+      changes.reactivated.push(summary(product));
+    } else {
+      const fields = changedFields(existing, scraped);
+      if (fields.length > 0) {
+        changes.changed.push(summary(product, { fields }));
+      } else {
+        changes.unchanged++;
+      }
+    }
+    return product;
+  });
+
+  freshProducts.forEach(fresh => {
+    if (existingIds.has(fresh.id)) return;
+    changes.added.push(summary(fresh));
+    merged.push({ ...fresh, status: 'active', firstSeen: timestamp, lastSeen: timestamp });
+  });
+
+  return { products: merged, changes };
+}
+
+// Rewrite each product's condition tags to canonical taxonomy ids. Tags the
+// taxonomy does not know are kept as-is. Returns { products, unknown } where
+// unknown maps each unknown tag to the ids of the products carrying it.
+function normalizeProductConditions(products) {
+  const unknown = {};
+  const normalized = products.map(product => {
+    const { ids, unknown: unknownTags } = normalizeConditions(product.targetedConditions);
+    unknownTags.forEach(tag => {
+      unknown[tag] = (unknown[tag] || []).concat(product.id);
+    });
+    return { ...product, targetedConditions: ids.concat(unknownTags) };
+  });
+  return { products: normalized, unknown };
+}
+
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+// Validate a database against the schema and, when given, the database it
+// would replace. Returns { valid, errors, checks }.
+function validateProductDatabase(database, previous = null, thresholds = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const errors = validate(database, schema);
+  const checks = {};
+  const warnings = [];
+
+  // Discontinued products stay in the file, so thresholds count active ones
+  const products = database && Array.isArray(database.products) ? database.products.filter(isActive) : [];
+  const previousCount = previous && Array.isArray(previous.products) ? previous.products.filter(isActive).length : 0;
+
+  if (previousCount > 0) {
+    const dropPercent = roundPercent(Math.max(0, (previousCount - products.length) / previousCount * 100));
+    checks.productCount = {
+      previous: previousCount,
+      current: products.length,
+      dropPercent: dropPercent,
+      limit: limits.maxProductDropPercent,
+      passed: dropPercent <= limits.maxProductDropPercent
+    };
+    if (!checks.productCount.passed) {
+      errors.push(`Product count dropped ${dropPercent}% (${previousCount} -> ${products.length}), limit is ${limits.maxProductDropPercent}%`);
+    }
+  }
+
+  if (products.length > 0) {
+    const missing = products.filter(p => !hasPrice(p)).length;
+    const missingPercent = roundPercent(missing / products.length * 100);
+    checks.missingPrices = {
+      missing: missing,
+      total: products.length,
+      percent: missingPercent,
+      limit: limits.maxMissingPricePercent,
+      passed: missingPercent <= limits.maxMissingPricePercent
+    };
+    if (!checks.missingPrices.passed) {
+      errors.push(`${missingPercent}% of products have no price (${missing} of ${products.length}), limit is ${limits.maxMissingPricePercent}%`);
+    }
+  }
+
+  if (products.length > 0) {
+    const { unknown } = normalizeProductConditions(products);
+    checks.conditionTags = { unknown: unknown };
+    Object.entries(unknown).forEach(([tag, ids]) => {
+      warnings.push(`Unknown condition tag "${tag}" on ${ids.length} product(s): ${ids.slice(0, 5).join(', ')}`);
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    warnings: warnings,
+    checks: checks
+  };
+}
+
+// Validate and write products.json. Returns { saved, validation }; when
+// validation fails the existing file is left untouched.
+async function saveProductData(database, options = {}) {
+  const filePath = options.filePath || DATABASE_PATH;
+  const previous = await loadProductDatabase(filePath);
+  const validation = validateProductDatabase(database, previous, options.thresholds);
+
+  if (!validation.valid) {
+    console.error(`Product database failed validation, keeping previous products.json:\n- ${validation.errors.join('\n- ')}`);
+    return { saved: false, validation };
+  }
+  if (validation.warnings.length > 0) {
+    console.warn(`Product database warnings:\n- ${validation.warnings.join('\n- ')}`);
+  }
+
+  try {
+    await fs.writeFile(filePath, JSON.stringify(database, null, 2), 'utf8');
+    console.log('Product database saved successfully to products.json');
+    return { saved: true, validation };
+  } catch (error) {
+    console.error('Error saving product database:', error);
+    return { saved: false, validation, error: error.message };
+  }
+}
+
+module.exports = {
+  loadProductDatabase,
+  mergeProducts,
+  normalizeProductConditions,
+  validateProductDatabase,
+  saveProductData
+};
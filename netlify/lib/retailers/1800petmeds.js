@@ -0,0 +1,53 @@
+/*
+ * 1800PetMeds retailer adapter. Also the catalogue source for the weekly
+ * product database update.
+ */
+
+const { defaultProductId } = require('./ids');
+
+const BASE_URL = 'https://www.1800petmeds.com';
+
+module.exports = {
+  id: '1800petmeds',
+  name: '1800PetMeds',
+  baseUrl: BASE_URL,
+  slugParam: 'petmedsSlug',
+  rateLimit: { concurrency: 5, delayMs: 1000 },
+
+  categoryUrls: {
+    dog: `${BASE_URL}/category/dog/food-c00005`,
+    cat: `${BASE_URL}/category/cat/food-c00010`
+  },
+
+  // Product pages end in their catalogue number (".../prod67598.html"),
+  // which the existing database already uses as the id
+  productId(product) {
+    const match = (product.link || '').match(/\/(prod[0-9]+)\.html/i);
+    if (match) return match[1].toLowerCase();
+    return defaultProductId(this.id, product);
+  },
+
+  // Product links are either anchors mentioning dog/cat/pet food or paths
+  // containing food/diet/nutrition
+  discoverProductLinks(html) {
+    const linkPatterns = [
+      /<a[^>]+href="([^"]+)"[^>]*>.*?(?:dog|cat|pet).*?food.*?<\/a>/gi,
+      /<a[^>]+href="([^"]+\/[^"\/]*(?:food|diet|nutrition)[^"\/]*)"[^>]*>/gi
+    ];
+
+    const foundLinks = new Set();
+    for (const pattern of linkPatterns) {
+      const matches = [...html.matchAll(pattern)];
+      matches.forEach(match => {
+        let link = match[1];
+        if (link.startsWith('/')) {
+          link = BASE_URL + link;
+        }
+        if (link.includes('1800petmeds.com')) {
+          foundLinks.add(link);
+        }
+      });
+    }
+    return Array.from(foundLinks);
+  }
+};
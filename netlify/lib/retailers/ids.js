@@ -0,0 +1,33 @@
+/*
+ * Stable product ids for retailer adapters.
+ *
+ * Ids must survive weekly refreshes because compare selections, links,
+ * price history and price watches are keyed by them.
+ */
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Product URL without protocol, query, fragment, trailing slash or ".html"
+function canonicalUrl(url) {
+  const parsed = new URL(url);
+  return `${parsed.hostname.toLowerCase()}${parsed.pathname.replace(/\/+$/, '').replace(/\.html?$/i, '')}`;
+}
+
+// "<retailer>-<sku>" when the page publishes a SKU, else the retailer plus
+// the canonical URL path. Null when the product has neither.
+function defaultProductId(retailerId, product) {
+  if (product.sku) return `${retailerId}-${slugify(product.sku)}`;
+  if (product.link) {
+    const path = canonicalUrl(product.link).split('/').slice(1).join('/');
+    return `${retailerId}-${slugify(path.replace(/-product$/, ''))}`;
+  }
+  return null;
+}
+
+module.exports = {
+  slugify,
+  canonicalUrl,
+  defaultProductId
+};
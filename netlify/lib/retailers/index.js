@@ -0,0 +1,168 @@
+/*
+ * Retailer Adapter Registry for VetFoodRx
+ *
+ * Every scraping handler reaches retailers through this registry. An adapter
+ * is a plain object describing one retailer:
+ *
+ *   {
+ *     id: '1800petmeds',                 // key used in sources and history
+ *     name: '1800PetMeds',
+ *     baseUrl: 'https://www.1800petmeds.com',
+ *     slugParam: 'petmedsSlug',          // productPriceScraper query param
+ *     rateLimit: { concurrency, delayMs },
+ *     categoryUrls: { dog, cat },        // optional; enables catalogue scraping
+ *     buildProductUrl(slug),
+ *     discoverProductLinks(html),        // product URLs on a category page
+ *     extractProduct(html, url),         // full product record
+ *     extractPrice(html, size),          // { variants, price }
+ *     productId(product)                 // stable database id
+ *   }
+ *
+ * Only id, name, baseUrl and slugParam are required; the rest default to the
+ * generic helpers in ../extraction. Adding a retailer means adding one file
+ * in this directory and listing it below.
+ */
+
+const { fetchPage } = require('../http');
+const { extractProductData, selectVariantPrice } = require('../extraction');
+const { defaultProductId } = require('./ids');
+
+const DEFAULT_RATE_LIMIT = { concurrency: 3, delayMs: 1000 };
+
+const adapters = new Map();
+
+// Fill in generic behaviour for anything an adapter does not override
+function defineAdapter(spec) {
+  ['id', 'name', 'baseUrl', 'slugParam'].forEach(field => {
+    if (!spec[field]) {
+      throw new Error(`Retailer adapter is missing required field "${field}"`);
+    }
+  });
+
+  const adapter = {
+    categoryUrls: {},
+    buildProductUrl(slug) {
+      return `${this.baseUrl}/${slug}`;
+    },
+    discoverProductLinks(html) {
+      const host = new URL(this.baseUrl).hostname;
+      const links = new Set();
+      [...html.matchAll(/<a[^>]+href="([^"]+\/[^"\/]*(?:food|diet|nutrition)[^"\/]*)"[^>]*>/gi)].forEach(match => {
+        const link = match[1].startsWith('/') ? this.baseUrl + match[1] : match[1];
+        if (link.includes(host)) links.add(link);
+      });
+      return Array.from(links);
+    },
+    extractProduct(html, url) {
+      return extractProductData(html, url, { baseUrl: this.baseUrl, retailer: this.id });
+    },
+    // Stable id from the retailer SKU, else the canonical product URL, so
+    // weekly refreshes keep ids that compare selections and links rely on
+    productId(product) {
+      return defaultProductId(this.id, product);
+    },
+    // Same variant path as full extraction, so structured offers win here too
+    extractPrice(html, size) {
+      const { variants } = this.extractProduct(html, this.baseUrl);
+      return { variants, price: selectVariantPrice(variants, size) };
+    },
+    ...spec,
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...(spec.rateLimit || {}) }
+  };
+  return adapter;
+}
+
+function registerAdapter(spec) {
+  const adapter = defineAdapter(spec);
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+function getAdapter(id) {
+  const adapter = adapters.get(id);
+  if (!adapter) {
+    throw new Error(`Unknown retailer "${id}". Available: ${listAdapters().map(a => a.id).join(', ')}`);
+  }
+  return adapter;
+}
+
+function listAdapters() {
+  return Array.from(adapters.values());
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Product URLs from an adapter's category page for a species
+async function discoverCategory(adapter, species, maxProducts = 50) {
+  const categoryUrl = adapter.categoryUrls[species];
+  if (!categoryUrl) {
+    throw new Error(`${adapter.name} has no ${species} category`);
+  }
+
+  try {
+    const html = await fetchPage(categoryUrl);
+    return adapter.discoverProductLinks(html).slice(0, maxProducts);
+  } catch (error) {
+    console.error(`Error scraping ${adapter.name} category page:`, error);
+    return [];
+  }
+}
+
+async function scrapeProduct(adapter, url) {
+  const html = await fetchPage(url);
+  return adapter.extractProduct(html, url);
+}
+
+// Scrape product pages in batches that respect the adapter's rate limit.
+// Products without a name and brand are dropped.
+async function scrapeProducts(adapter, urls) {
+  const { concurrency, delayMs } = adapter.rateLimit;
+  const products = [];
+
+  for (let i = 0; i < urls.length; i += concurrency) {
+    const batch = urls.slice(i, i + concurrency);
+    const batchResults = await Promise.all(batch.map(async (url) => {
+      try {
+        const product = await scrapeProduct(adapter, url);
+        return product.name && product.brand ? product : null;
+      } catch (error) {
+        console.error(`Error scraping product ${url}:`, error.message);
+        return null;
+      }
+    }));
+    products.push(...batchResults.filter(p => p !== null));
+
+    // Pause between batches to be respectful
+    if (i + concurrency < urls.length) {
+      await delay(delayMs);
+    }
+  }
+
+  return products;
+}
+
+// Variants and selected price for one product slug, or null on failure
+async function scrapePrice(adapter, slug, size) {
+  try {
+    const html = await fetchPage(adapter.buildProductUrl(slug));
+    return adapter.extractPrice(html, size);
+  } catch (error) {
+    console.error(`${adapter.name} scraping error:`, error.message);
+    return null;
+  }
+}
+
+// Built-in retailers
+registerAdapter(require('./1800petmeds'));
+registerAdapter(require('./wag'));
+
+module.exports = {
+  defineAdapter,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  discoverCategory,
+  scrapeProduct,
+  scrapeProducts,
+  scrapePrice
+};
@@ -0,0 +1,12 @@
+/*
+ * Wag.com retailer adapter. Used for price checks only; Wag has no
+ * catalogue categories configured.
+ */
+
+module.exports = {
+  id: 'wag',
+  name: 'Wag.com',
+  baseUrl: 'https://www.wag.com',
+  slugParam: 'wagSlug',
+  rateLimit: { concurrency: 2, delayMs: 1500 }
+};
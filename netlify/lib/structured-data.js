@@ -0,0 +1,278 @@
+/*
+ * Structured Product Data for VetFoodRx
+ *
+ * Reads the schema.org Product a retailer publishes for search engines,
+ * either as <script type="application/ld+json"> blocks or as microdata
+ * (itemscope/itemprop attributes). Both paths return the same shape:
+ *
+ *   {
+ *     source: 'json-ld' | 'microdata',
+ *     name, brand, sku, gtin, description,
+ *     images: [url],
+ *     offers: [{ name, sku, gtin, price, currency, availability }]
+ *   }
+ *
+ * Offer availability is normalized to the variant values 'in-stock',
+ * 'out-of-stock' or 'unknown'. A ProductGroup contributes one offer per
+ * hasVariant entry, named after the variant so its size can be parsed.
+ */
+
+const GTIN_PROPS = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin'];
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&');
+}
+
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = decodeEntities(String(value).replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function parsePrice(value) {
+  if (value === null || value === undefined) return null;
+  const price = parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  return price > 0 ? price : null;
+}
+
+// schema.org availability is a URL such as https://schema.org/InStock
+function normalizeAvailability(value) {
+  const text = String(value || '');
+  if (/InStock|InStoreOnly|OnlineOnly|LimitedAvailability/i.test(text)) return 'in-stock';
+  if (/OutOfStock|SoldOut|Discontinued|BackOrder|PreOrder/i.test(text)) return 'out-of-stock';
+  return 'unknown';
+}
+
+function hasType(node, type) {
+  const types = [].concat(node && node['@type'] || []);
+  return types.some(t => String(t).split(/[\/#]/).pop() === type);
+}
+
+// ---------------------------------------------------------------------------
+// JSON-LD
+// ---------------------------------------------------------------------------
+
+// Every object in the page's JSON-LD blocks, with @graph and arrays flattened
+function jsonLdNodes(html) {
+  const nodes = [];
+  const scriptPattern = /<script[^>]+type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+  [...html.matchAll(scriptPattern)].forEach(match => {
+    const body = match[1].replace(/^\s*(?:<!--|<!\[CDATA\[)/, '').replace(/(?:-->|\]\]>)\s*$/, '');
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      return;
+    }
+    const queue = [].concat(data);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+      if (Array.isArray(node)) {
+        queue.push(...node);
+      } else {
+        nodes.push(node);
+        if (node['@graph']) queue.push(...[].concat(node['@graph']));
+      }
+    }
+  });
+
+  return nodes;
+}
+
+function jsonLdText(value) {
+  if (value && typeof value === 'object') {
+    return cleanText(value.name || value['@value'] || null);
+  }
+  return cleanText(value);
+}
+
+function jsonLdGtin(node) {
+  const prop = GTIN_PROPS.find(key => node[key]);
+  return prop ? String(node[prop]).trim() : null;
+}
+
+function jsonLdImages(value) {
+  return [].concat(value || [])
+    .map(image => (image && typeof image === 'object' ? image.url || image.contentUrl : image))
+    .filter(url => typeof url === 'string' && url.trim())
+    .map(url => url.trim());
+}
+
+// Flatten offers, AggregateOffers and their nested offers into plain offers
+function jsonLdOffers(value, defaults = {}) {
+  const offers = [];
+  [].concat(value || []).forEach(offer => {
+    if (!offer || typeof offer !== 'object') return;
+    if (offer.offers) {
+      offers.push(...jsonLdOffers(offer.offers, defaults));
+      return;
+    }
+    const priceSpec = [].concat(offer.priceSpecification || [])[0] || {};
+    offers.push({
+      name: jsonLdText(offer.name) || defaults.name || null,
+      sku: offer.sku ? String(offer.sku).trim() : defaults.sku || null,
+      gtin: jsonLdGtin(offer) || defaults.gtin || null,
+      price: parsePrice(offer.price !== undefined ? offer.price : (offer.lowPrice !== undefined ? offer.lowPrice : priceSpec.price)),
+      currency: offer.priceCurrency || priceSpec.priceCurrency || null,
+      availability: normalizeAvailability(offer.availability)
+    });
+  });
+  return offers;
+}
+
+function parseJsonLd(html) {
+  const nodes = jsonLdNodes(html);
+  const node = nodes.find(n => hasType(n, 'ProductGroup')) || nodes.find(n => hasType(n, 'Product'));
+  if (!node) return null;
+
+  const offers = jsonLdOffers(node.offers);
+  [].concat(node.hasVariant || []).forEach(variant => {
+    offers.push(...jsonLdOffers(variant.offers, {
+      name: jsonLdText(variant.name),
+      sku: variant.sku ? String(variant.sku).trim() : null,
+      gtin: jsonLdGtin(variant)
+    }));
+  });
+
+  return {
+    source: 'json-ld',
+    name: jsonLdText(node.name),
+    brand: jsonLdText(node.brand || node.manufacturer),
+    sku: node.sku ? String(node.sku).trim() : null,
+    gtin: jsonLdGtin(node),
+    description: jsonLdText(node.description),
+    images: jsonLdImages(node.image),
+    offers: offers
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Microdata
+// ---------------------------------------------------------------------------
+
+// Position just past the element opened at `start`, counting nested
+// elements with the same tag name
+function elementEnd(html, start, tag) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*?(/?)>`, 'gi');
+  pattern.lastIndex = start;
+  let depth = 0;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    if (match[2]) {
+      if (depth === 0) return pattern.lastIndex;
+    } else if (match[1]) {
+      depth--;
+      if (depth === 0) return pattern.lastIndex;
+    } else {
+      depth++;
+    }
+  }
+  return html.length;
+}
+
+// Elements carrying itemscope, optionally limited to one schema.org type
+function itemScopes(html, type) {
+  const scopes = [];
+  const pattern = /<(\w+)\b([^>]*\bitemscope\b[^>]*)>/gi;
+  [...html.matchAll(pattern)].forEach(match => {
+    const itemType = (match[2].match(/itemtype\s*=\s*"([^"]+)"/i) || [])[1] || '';
+    if (type && itemType.split(/[\/#]/).pop() !== type) return;
+    scopes.push({
+      start: match.index,
+      end: elementEnd(html, match.index, match[1]),
+      attrs: match[2],
+      html: html.slice(match.index, elementEnd(html, match.index, match[1]))
+    });
+  });
+  return scopes;
+}
+
+// The scope's own markup, with nested itemscopes blanked out so their
+// properties (a brand's name, an offer's sku) are not read as the parent's
+function ownMarkup(scope) {
+  let own = scope.html;
+  itemScopes(scope.html.slice(1)).forEach(nested => {
+    const start = nested.start + 1;
+    own = own.slice(0, start) + ' '.repeat(nested.end - nested.start) + own.slice(start + nested.end - nested.start);
+  });
+  return own;
+}
+
+// Value of the first itemprop: its content/href/src attribute or its text
+function itemProp(markup, prop) {
+  const pattern = new RegExp(`<(\\w+)\\b([^>]*\\bitemprop\\s*=\\s*"(?:[^"]*\\s)?${prop}(?:\\s[^"]*)?"[^>]*)>`, 'i');
+  const match = markup.match(pattern);
+  if (!match) return null;
+
+  const attr = match[2].match(/\b(?:content|href|src)\s*=\s*"([^"]*)"/i);
+  if (attr) return cleanText(attr[1]);
+
+  const end = elementEnd(markup, match.index, match[1]);
+  return cleanText(markup.slice(match.index + match[0].length, end).replace(new RegExp(`</${match[1]}>\\s*$`, 'i'), ''));
+}
+
+function itemPropGtin(markup) {
+  for (const prop of GTIN_PROPS) {
+    const value = itemProp(markup, prop);
+    if (value) return value;
+  }
+  return null;
+}
+
+function parseMicrodata(html) {
+  const product = itemScopes(html, 'Product')[0] || itemScopes(html, 'ProductGroup')[0];
+  if (!product) return null;
+
+  const own = ownMarkup(product);
+  const nested = itemScopes(product.html.slice(1));
+
+  const brandScope = nested.find(scope => /\bitemprop\s*=\s*"brand"/i.test(scope.attrs));
+  const brand = brandScope ? itemProp(ownMarkup(brandScope), 'name') : itemProp(own, 'brand');
+
+  const offers = nested
+    .filter(scope => /\bitemprop\s*=\s*"offers"/i.test(scope.attrs))
+    .map(scope => {
+      const markup = ownMarkup(scope);
+      return {
+        name: itemProp(markup, 'name'),
+        sku: itemProp(markup, 'sku'),
+        gtin: itemPropGtin(markup),
+        price: parsePrice(itemProp(markup, 'price') || itemProp(markup, 'lowPrice')),
+        currency: itemProp(markup, 'priceCurrency'),
+        availability: normalizeAvailability(itemProp(markup, 'availability'))
+      };
+    });
+
+  const image = itemProp(own, 'image');
+
+  return {
+    source: 'microdata',
+    name: itemProp(own, 'name'),
+    brand: brand,
+    sku: itemProp(own, 'sku'),
+    gtin: itemPropGtin(own),
+    description: itemProp(own, 'description'),
+    images: image ? [image] : [],
+    offers: offers
+  };
+}
+
+// JSON-LD first, then microdata. Null when the page publishes neither.
+function extractStructuredProduct(html) {
+  return parseJsonLd(html) || parseMicrodata(html);
+}
+
+module.exports = {
+  normalizeAvailability,
+  parseJsonLd,
+  parseMicrodata,
+  extractStructuredProduct
+};
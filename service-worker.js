@@ -1,10 +1,18 @@
 // Simple service worker to cache core assets for offline support.
-const CACHE_NAME = 'vetfoodrx-cache-v1';
+const CACHE_NAME = 'vetfoodrx-cache-v3';
 const URLS_TO_CACHE = [
   '/',
   '/index.html',
   '/app.js',
+  '/shared/conditions.js',
+  '/shared/food-attributes.js',
+  '/shared/search.js',
+  '/shared/export.js',
+  '/shared/formulary.js',
+  '/shared/patients.js',
+  '/shared/price-watches.js',
   '/data/products.json',
+  '/data/price-history.json',
   '/manifest.json',
   '/icons/icon-192.png',
   '/icons/icon-512.png'
@@ -38,6 +46,26 @@ self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') {
     return;
   }
+  // The app fetches data files with a cache-busting ?v= query, so go to
+  // the network first and keep the response under the bare path, which is
+  // also what is served offline
+  const url = new URL(event.request.url);
+  if (url.origin === self.location.origin && url.pathname.startsWith('/data/')) {
+    event.respondWith(
+      fetch(event.request)
+        .then((networkResponse) => {
+          if (networkResponse && networkResponse.status === 200) {
+            const responseClone = networkResponse.clone();
+            caches.open(CACHE_NAME).then((cache) => {
+              cache.put(url.pathname, responseClone);
+            });
+          }
+          return networkResponse;
+        })
+        .catch(() => caches.match(url.pathname, { ignoreSearch: true }).then((cachedResponse) => cachedResponse || Response.error()))
+    );
+    return;
+  }
   event.respondWith(
     caches.match(event.request).then((cachedResponse) => {
       // Serve from cache if available
@@ -59,4 +87,31 @@ self.addEventListener('fetch', (event) => {
         .catch(() => caches.match('/index.html'));
     })
   );
+});
+
+// Price-drop alerts pushed by the scheduled update (see netlify/lib/notification-senders.js)
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'VetFoodRx price alert', {
+      body: data.body || 'A watched diet dropped in price.',
+      icon: '/icons/icon-192.png',
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const existing = windowClients.find((client) => 'focus' in client);
+      if (existing) {
+        existing.navigate(url);
+        return existing.focus();
+      }
+      return clients.openWindow(url);
+    })
+  );
 });
\ No newline at end of file
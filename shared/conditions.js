@@ -0,0 +1,138 @@
+/*
+ * Condition Taxonomy for VetFoodRx
+ *
+ * The one list of health conditions the scraper may tag a product with and
+ * the app offers as filters. Each condition has a canonical id (what
+ * products.json stores), a display label, the synonyms page text and older
+ * data use for it, and optionally a parent: a product tagged with a child
+ * condition (e.g. 'struvite') also matches a filter on its parent
+ * ('urinary').
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxConditions) and
+ * with require() by the Netlify functions.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VetFoodRxConditions = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const CONDITIONS = [
+    { id: 'kidney', label: 'Kidney disease', synonyms: ['kidney disease', 'kidney care', 'kidney function', 'renal', 'ckd'] },
+    { id: 'urinary', label: 'Urinary', synonyms: ['urinary', 'urinary tract', 'bladder', 'flutd'] },
+    { id: 'struvite', label: 'Struvite stones', parent: 'urinary', synonyms: ['struvite'] },
+    { id: 'oxalate', label: 'Oxalate stones', parent: 'urinary', synonyms: ['calcium oxalate', 'oxalate'] },
+    { id: 'digestive', label: 'Digestive', synonyms: ['digestive', 'gastrointestinal', 'gastroenteric', 'gi', 'sensitive stomach'] },
+    { id: 'pancreatitis', label: 'Pancreatitis', parent: 'digestive', synonyms: ['pancreatitis'] },
+    { id: 'diabetes', label: 'Diabetes', synonyms: ['diabetes', 'diabetic'] },
+    { id: 'weight', label: 'Weight management', synonyms: ['weight management', 'weight loss', 'obesity'] },
+    { id: 'hepatic', label: 'Liver (hepatic)', synonyms: ['hepatic', 'liver'] },
+    { id: 'joint', label: 'Joint & mobility', synonyms: ['joint', 'mobility', 'arthritis', 'osteoarthritis'] },
+    { id: 'skin', label: 'Skin & food sensitivities', synonyms: ['skin', 'skin & food sensitivities', 'food sensitivities', 'dermatologic'] },
+    { id: 'food-allergy', label: 'Food allergies', parent: 'skin', synonyms: ['allergies', 'food allergies', 'hypoallergenic'] },
+    { id: 'dental', label: 'Dental', synonyms: ['dental', 'oral health'] },
+    { id: 'critical-care', label: 'Critical care', synonyms: ['critical care', 'recovery'] },
+    { id: 'hyperthyroidism', label: 'Hyperthyroidism', synonyms: ['hyperthyroidism', 'thyroid'] },
+    { id: 'cardiac', label: 'Heart (cardiac)', synonyms: ['cardiac', 'heart'] },
+    { id: 'neurologic', label: 'Neurologic', synonyms: ['neurologic', 'neurocare', 'epilepsy', 'seizures'] }
+  ];
+
+  const BY_ID = {};
+  const BY_SYNONYM = {};
+  CONDITIONS.forEach(condition => {
+    BY_ID[condition.id] = condition;
+    BY_SYNONYM[condition.id] = condition.id;
+    BY_SYNONYM[condition.label.toLowerCase()] = condition.id;
+    condition.synonyms.forEach(synonym => { BY_SYNONYM[synonym] = condition.id; });
+  });
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Free text is matched on labels and synonyms only: ids such as 'weight'
+  // are too generic to find in prose. Longest first, so 'calcium oxalate'
+  // is tried before 'oxalate'.
+  const SYNONYM_PATTERNS = Object.keys(BY_SYNONYM)
+    .filter(synonym => !BY_ID[synonym] || BY_ID[synonym].synonyms.includes(synonym))
+    .sort((a, b) => b.length - a.length)
+    .map(synonym => ({ id: BY_SYNONYM[synonym], synonym, pattern: new RegExp(`\\b${escapeRegExp(synonym)}\\b`, 'i') }));
+
+  function getCondition(id) {
+    return BY_ID[id] || null;
+  }
+
+  // Display label for a tag; tags outside the taxonomy are shown as stored
+  function conditionLabel(tag) {
+    const id = normalizeCondition(tag);
+    return id ? BY_ID[id].label : tag;
+  }
+
+  // Canonical id for an id, label or synonym, or null when it is not in the
+  // taxonomy
+  function normalizeCondition(tag) {
+    if (typeof tag !== 'string') return null;
+    return BY_SYNONYM[tag.trim().toLowerCase()] || null;
+  }
+
+  // Map stored tags to canonical ids. Returns { ids, unknown }: ids are
+  // de-duplicated in input order, unknown holds the tags that match nothing.
+  function normalizeConditions(tags) {
+    const ids = [];
+    const unknown = [];
+    (tags || []).forEach(tag => {
+      const id = normalizeCondition(tag);
+      if (!id) {
+        unknown.push(tag);
+      } else if (!ids.includes(id)) {
+        ids.push(id);
+      }
+    });
+    return { ids, unknown };
+  }
+
+  // Conditions whose synonyms occur as whole words in free text, in
+  // taxonomy order. Returns [{ id, synonym }] with the longest synonym that
+  // matched for each condition.
+  function matchConditions(text) {
+    const found = {};
+    SYNONYM_PATTERNS.forEach(({ id, synonym, pattern }) => {
+      if (!found[id] && pattern.test(text || '')) found[id] = synonym;
+    });
+    return CONDITIONS.filter(condition => found[condition.id])
+      .map(condition => ({ id: condition.id, synonym: found[condition.id] }));
+  }
+
+  // Canonical ids whose synonyms occur as whole words in free text
+  function findConditions(text) {
+    return matchConditions(text).map(match => match.id);
+  }
+
+  function childConditions(id) {
+    return CONDITIONS.filter(condition => condition.parent === id).map(condition => condition.id);
+  }
+
+  // The id and all of its descendants: the tags a filter on `id` accepts
+  function expandCondition(id) {
+    return [id].concat(...childConditions(id).map(expandCondition));
+  }
+
+  // Whether a product's tags satisfy a filter on `id`
+  function matchesCondition(tags, id) {
+    const accepted = expandCondition(id);
+    return normalizeConditions(tags).ids.some(tag => accepted.includes(tag));
+  }
+
+  return {
+    CONDITIONS,
+    getCondition,
+    conditionLabel,
+    normalizeCondition,
+    normalizeConditions,
+    matchConditions,
+    findConditions,
+    childConditions,
+    expandCondition,
+    matchesCondition
+  };
+}));
@@ -0,0 +1,142 @@
+/*
+ * Product Export for VetFoodRx
+ *
+ * Turns a list of products into files people can take elsewhere:
+ *
+ * - CSV with one row per size, so each size's price sits in its own row
+ *   next to the product's brand, conditions and guaranteed analysis. Made
+ *   for spreadsheets and inventory systems.
+ * - JSON in the shape of data/products.json (data/products.schema.json),
+ *   so an export can be read back by anything that reads the database.
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxExport, after
+ * shared/conditions.js and shared/food-attributes.js) and with require()
+ * in tests.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./conditions'), require('./food-attributes'));
+  } else {
+    root.VetFoodRxExport = factory(root.VetFoodRxConditions, root.VetFoodRxAttributes);
+  }
+}(typeof self !== 'undefined' ? self : this, function (conditions, attributes) {
+  // Guaranteed analysis entries exported, with the unit the column holds
+  const NUTRIENT_COLUMNS = [
+    { key: 'protein', header: 'Crude protein (%)' },
+    { key: 'fat', header: 'Crude fat (%)' },
+    { key: 'fiber', header: 'Crude fiber (%)' },
+    { key: 'moisture', header: 'Moisture (%)' },
+    { key: 'phosphorus', header: 'Phosphorus (%)' },
+    { key: 'sodium', header: 'Sodium (%)' },
+    { key: 'kcalPerKg', header: 'Calories (kcal/kg)' },
+    { key: 'kcalPerCup', header: 'Calories (kcal/cup)' },
+    { key: 'kcalPerCan', header: 'Calories (kcal/can)' }
+  ];
+
+  const list = (values) => values.filter(Boolean).join('; ');
+
+  // Product columns, repeated on each of its size rows
+  const PRODUCT_COLUMNS = [
+    { header: 'ID', value: product => product.id },
+    { header: 'Brand', value: product => product.brand },
+    { header: 'Name', value: product => product.name },
+    { header: 'Species', value: product => product.species },
+    { header: 'Type', value: product => (product.type ? attributes.attributeLabel('type', product.type) : '') },
+    { header: 'Format', value: product => list((product.formats || []).map(id => attributes.attributeLabel('formats', id))) },
+    { header: 'Conditions', value: product => list((product.targetedConditions || []).map(conditions.conditionLabel)) }
+  ];
+
+  const SIZE_HEADERS = ['Size', 'Price (USD)', 'Price status', 'Availability'];
+  const TRAILING_HEADERS = ['Link', 'Last updated'];
+
+  function formatSize(variant) {
+    const size = `${variant.size} ${variant.unit}`;
+    return variant.count > 1 ? `${variant.count} x ${size}` : size;
+  }
+
+  // Size columns for each row of a product: its variants, or one row from
+  // the product-level price when it has none. Estimates are labelled so
+  // they are never mistaken for retailer prices.
+  function sizeRows(product) {
+    if (Array.isArray(product.variants) && product.variants.length > 0) {
+      return product.variants.map(variant => {
+        if (typeof variant.price === 'number') {
+          return [formatSize(variant), variant.price, 'observed', variant.availability];
+        }
+        if (variant.priceEstimate) {
+          return [formatSize(variant), variant.priceEstimate.amount, 'estimate', variant.availability];
+        }
+        return [formatSize(variant), '', 'unknown', variant.availability];
+      });
+    }
+    const price = product.price || {};
+    const sizes = list(product.bagSizes || []);
+    const availability = product.availability || '';
+    if (price.status === 'observed' && typeof price.amount === 'number') {
+      return [[sizes, price.amount, 'observed', availability]];
+    }
+    if (!price.status && typeof price.estimate === 'number') {
+      return [[sizes, price.estimate, 'estimate', availability]];
+    }
+    return [[sizes, '', 'unknown', availability]];
+  }
+
+  function nutrientValues(product) {
+    const analysis = product.analysis || {};
+    return NUTRIENT_COLUMNS.map(({ key }) => (analysis[key] && typeof analysis[key].value === 'number' ? analysis[key].value : ''));
+  }
+
+  // Quote a CSV field when it needs it. Text starting with a formula
+  // character is prefixed with ' so spreadsheets show it rather than run it.
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Rows of the CSV export, header first, each an array of cell values
+  function productsToRows(products) {
+    const header = PRODUCT_COLUMNS.map(column => column.header)
+      .concat(SIZE_HEADERS, NUTRIENT_COLUMNS.map(column => column.header), TRAILING_HEADERS);
+    const rows = [header];
+    products.forEach(product => {
+      const productCells = PRODUCT_COLUMNS.map(column => column.value(product));
+      const trailing = [product.link || '', product.lastSeen || product.lastUpdated || ''];
+      sizeRows(product).forEach(sizeCells => {
+        rows.push(productCells.concat(sizeCells, nutrientValues(product), trailing));
+      });
+    });
+    return rows;
+  }
+
+  function productsToCsv(products) {
+    return productsToRows(products)
+      .map(row => row.map(csvField).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // A products.json-shaped database holding just these products
+  function productsToDatabase(products, { source = 'VetFoodRx export', exportedAt = new Date().toISOString() } = {}) {
+    return {
+      products: products,
+      lastUpdated: exportedAt,
+      totalProducts: products.length,
+      source: source
+    };
+  }
+
+  function productsToJson(products, options) {
+    return JSON.stringify(productsToDatabase(products, options), null, 2);
+  }
+
+  return {
+    NUTRIENT_COLUMNS,
+    productsToRows,
+    productsToCsv,
+    productsToDatabase,
+    productsToJson
+  };
+}));
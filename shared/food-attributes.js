@@ -0,0 +1,121 @@
+/*
+ * Food Attributes for VetFoodRx
+ *
+ * What a diet is, beyond what it treats: food type (dry or wet), format
+ * (kibble, can, pouch, loaf, stew), life stage and the dog size class it
+ * is made for. The scraper detects them from the product title and
+ * description; the app offers each list as a filter. Products store ids:
+ *
+ *   { type: 'wet', formats: ['can', 'loaf'], lifeStages: ['adult'], sizeClasses: [] }
+ *
+ * An empty list means the product does not say, not that no value applies.
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxAttributes) and
+ * with require() by the Netlify functions.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VetFoodRxAttributes = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const FOOD_TYPES = [
+    { id: 'dry', label: 'Dry' },
+    { id: 'wet', label: 'Wet' }
+  ];
+
+  // Formats are packaging and texture; a stew can also be a can. `type` is
+  // the food type a format implies.
+  const FORMATS = [
+    { id: 'kibble', label: 'Kibble', type: 'dry', synonyms: ['kibble', 'dry'] },
+    { id: 'can', label: 'Can', type: 'wet', synonyms: ['can', 'cans', 'canned'] },
+    { id: 'pouch', label: 'Pouch', type: 'wet', synonyms: ['pouch', 'pouches'] },
+    { id: 'loaf', label: 'Loaf', type: 'wet', synonyms: ['loaf', 'pate', 'pâté'] },
+    { id: 'stew', label: 'Stew', type: 'wet', synonyms: ['stew', 'chunks in gravy', 'morsels in gravy', 'in gravy'] }
+  ];
+
+  const LIFE_STAGES = [
+    { id: 'growth', label: 'Growth (puppy & kitten)', synonyms: ['growth', 'puppy', 'kitten', 'junior'] },
+    { id: 'adult', label: 'Adult', synonyms: ['adult'] },
+    { id: 'senior', label: 'Senior', synonyms: ['senior', 'mature', 'aging', '7+', '11+'] }
+  ];
+
+  const SIZE_CLASSES = [
+    { id: 'small', label: 'Small & toy breeds', synonyms: ['small breed', 'small & mini', 'small bites', 'toy breed', 'small paws', 'mini'] },
+    { id: 'medium', label: 'Medium breeds', synonyms: ['medium breed'] },
+    { id: 'large', label: 'Large & giant breeds', synonyms: ['large breed', 'giant breed'] }
+  ];
+
+  // Attribute lists by the product field that stores them
+  const ATTRIBUTES = {
+    type: FOOD_TYPES,
+    formats: FORMATS,
+    lifeStages: LIFE_STAGES,
+    sizeClasses: SIZE_CLASSES
+  };
+
+  // Labels that cover every life stage at once
+  const ALL_LIFE_STAGES = /\ball\s+life\s+stages\b/i;
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Whole-word pattern for a synonym; '7+' ends in a symbol, so only its
+  // start is word-bounded
+  const synonymPattern = (synonym) =>
+    new RegExp(`\\b${escapeRegExp(synonym)}${/\w$/.test(synonym) ? '\\b' : ''}`, 'i');
+
+  const PATTERNS = {};
+  Object.keys(ATTRIBUTES).forEach(field => {
+    PATTERNS[field] = ATTRIBUTES[field].filter(item => item.synonyms).map(item => ({
+      id: item.id,
+      patterns: item.synonyms.map(synonymPattern)
+    }));
+  });
+
+  // Ids from one attribute list whose synonyms occur in the text, in list
+  // order
+  function matchAttribute(field, text) {
+    return PATTERNS[field]
+      .filter(item => item.patterns.some(pattern => pattern.test(text || '')))
+      .map(item => item.id);
+  }
+
+  // Display label for a stored attribute id; unknown ids are shown as stored
+  function attributeLabel(field, id) {
+    const item = (ATTRIBUTES[field] || []).find(entry => entry.id === id);
+    return item ? item.label : id;
+  }
+
+  // Detect food attributes from a product's title and description. Format
+  // comes from the title alone, since descriptions suggest mixing with
+  // other foods ("pairs well with our canned formula"). A known `type` is
+  // kept; otherwise the format implies it.
+  function detectFoodAttributes({ name, description, type } = {}) {
+    let formats = matchAttribute('formats', name);
+    const foodType = type || (formats.length > 0 ? FORMATS.find(f => f.id === formats[0]).type : null);
+    // "Dry" in a wet title is the format of a different product it
+    // mentions, and a dry diet is kibble whether or not it says so
+    formats = formats.filter(id => !foodType || FORMATS.find(f => f.id === id).type === foodType);
+    if (formats.length === 0 && foodType === 'dry') formats = ['kibble'];
+
+    const text = `${name || ''}\n${description || ''}`;
+    return {
+      type: foodType,
+      formats: formats,
+      lifeStages: ALL_LIFE_STAGES.test(text) ? LIFE_STAGES.map(stage => stage.id) : matchAttribute('lifeStages', text),
+      sizeClasses: matchAttribute('sizeClasses', text)
+    };
+  }
+
+  return {
+    FOOD_TYPES,
+    FORMATS,
+    LIFE_STAGES,
+    SIZE_CLASSES,
+    ATTRIBUTES,
+    attributeLabel,
+    detectFoodAttributes
+  };
+}));
@@ -0,0 +1,109 @@
+/*
+ * Clinic Formulary for VetFoodRx
+ *
+ * The diets a clinic stocks, with its own shelf prices. Entries are kept
+ * on the device and keyed by product id:
+ *
+ *   { prod67598: { inStock: true, price: 62.5, size: '8.5 lb', preferred: true, notes: 'Reorder at 3 bags' } }
+ *
+ * A product with an entry is on the formulary; `inStock` says whether it
+ * is on the shelf now. `price` is the clinic's price in USD for `size`, or
+ * null when none is set. `notes` are internal and never printed for
+ * clients.
+ *
+ * A formulary moves between devices as a JSON file written by
+ * formularyToJson() and read back by readFormulary().
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxFormulary) and
+ * with require() in tests.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VetFoodRxFormulary = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const FILE_FORMAT = 'vetfoodrx-formulary';
+  const FILE_VERSION = 1;
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  // An entry with every field present and typed, or null when `raw` is
+  // not an entry. Prices may arrive as strings from spreadsheets.
+  function normalizeEntry(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const price = typeof raw.price === 'string' ? parseFloat(raw.price.replace(/[$,]/g, '')) : raw.price;
+    return {
+      inStock: raw.inStock !== false,
+      price: typeof price === 'number' && Number.isFinite(price) && price >= 0 ? Math.round(price * 100) / 100 : null,
+      size: text(raw.size),
+      preferred: raw.preferred === true,
+      notes: text(raw.notes)
+    };
+  }
+
+  // Entries with `id` set to `entry`, or removed when `entry` is null
+  function setFormularyEntry(entries, id, entry) {
+    const next = { ...entries };
+    if (entry) {
+      next[id] = normalizeEntry(entry);
+    } else {
+      delete next[id];
+    }
+    return next;
+  }
+
+  // Read an imported file: an export from formularyToJson(), a bare map
+  // of entries, or a list of entries with a `productId` each. Returns
+  // { entries, skipped } with the ids or positions that were not valid
+  // entries; throws when the file is not a formulary at all.
+  function readFormulary(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('This file is not a formulary export.');
+    }
+    if (data.format && data.format !== FILE_FORMAT) {
+      throw new Error(`Expected a ${FILE_FORMAT} file, got ${data.format}.`);
+    }
+    if (data.version > FILE_VERSION) {
+      throw new Error('This formulary was exported by a newer version of VetFoodRx.');
+    }
+
+    const source = data.format ? data.entries : data;
+    const pairs = Array.isArray(source)
+      ? source.map((entry, index) => [entry && text(entry.productId), entry, `#${index + 1}`])
+      : Object.keys(source || {}).map((id) => [id, source[id], id]);
+    if (pairs.length === 0 && !data.format) {
+      throw new Error('This file is not a formulary export.');
+    }
+
+    const entries = {};
+    const skipped = [];
+    pairs.forEach(([id, raw, position]) => {
+      const entry = normalizeEntry(raw);
+      if (id && entry) {
+        entries[id] = entry;
+      } else {
+        skipped.push(position);
+      }
+    });
+    return { entries, skipped };
+  }
+
+  function formularyToJson(entries, { exportedAt = new Date().toISOString() } = {}) {
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      exportedAt: exportedAt,
+      entries: entries
+    }, null, 2);
+  }
+
+  return {
+    normalizeEntry,
+    setFormularyEntry,
+    readFormulary,
+    formularyToJson
+  };
+}));
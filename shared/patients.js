@@ -0,0 +1,136 @@
+/*
+ * Patient Profiles for VetFoodRx
+ *
+ * A pet a diet is being chosen for, and the diets chosen for it:
+ *
+ *   {
+ *     id: 'patient-1725148800000',
+ *     name: 'Bella',
+ *     species: 'dog',
+ *     weight: '22', weightUnit: 'lb', lifeStage: 'adult', status: 'neutered',
+ *     bodyConditionScore: 6,
+ *     conditions: ['kidney'],
+ *     allergies: ['chicken'],
+ *     plan: [{ productId: 'prod67598', dailyAmount: '2.10 cups · 210 g per day', transition: 'Mix 25% new food for 3 days', addedAt: '...' }],
+ *     updatedAt: '...'
+ *   }
+ *
+ * Weight, life stage and status are the feeding calculator's inputs, so a
+ * patient can drive it directly. Body condition uses the 9-point scale.
+ * The app keeps profiles in IndexedDB on the device; there is no account.
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxPatients, after
+ * shared/conditions.js) and with require() in tests.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./conditions'));
+  } else {
+    root.VetFoodRxPatients = factory(root.VetFoodRxConditions);
+  }
+}(typeof self !== 'undefined' ? self : this, function (conditions) {
+  const BODY_CONDITION_SCORES = [
+    { score: 1, label: 'Emaciated' },
+    { score: 2, label: 'Very thin' },
+    { score: 3, label: 'Thin' },
+    { score: 4, label: 'Lean' },
+    { score: 5, label: 'Ideal' },
+    { score: 6, label: 'Slightly overweight' },
+    { score: 7, label: 'Overweight' },
+    { score: 8, label: 'Obese' },
+    { score: 9, label: 'Severely obese' }
+  ];
+
+  const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  // Allergies typed as one line: "chicken, beef; soy"
+  function parseAllergies(input) {
+    const seen = new Set();
+    return (Array.isArray(input) ? input : String(input || '').split(/[,;\n]/))
+      .map(text)
+      .filter(allergy => {
+        const key = allergy.toLowerCase();
+        if (!allergy || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  function normalizePlanDiet(raw) {
+    if (!raw || !text(raw.productId)) return null;
+    return {
+      productId: text(raw.productId),
+      dailyAmount: text(raw.dailyAmount),
+      transition: text(raw.transition),
+      addedAt: raw.addedAt || null
+    };
+  }
+
+  // A patient with every field present and typed, as stored
+  function normalizePatient(raw) {
+    const { ids, unknown } = conditions.normalizeConditions(raw.conditions || []);
+    const score = parseInt(raw.bodyConditionScore, 10);
+    return {
+      id: raw.id,
+      name: text(raw.name),
+      species: oneOf(raw.species, ['dog', 'cat'], 'dog'),
+      weight: raw.weight === undefined || raw.weight === null ? '' : String(raw.weight),
+      weightUnit: oneOf(raw.weightUnit, ['lb', 'kg'], 'lb'),
+      lifeStage: oneOf(raw.lifeStage, ['growth', 'adult', 'senior'], 'adult'),
+      status: oneOf(raw.status, ['neutered', 'intact', 'weightLoss'], 'neutered'),
+      bodyConditionScore: score >= 1 && score <= 9 ? score : null,
+      conditions: ids.concat(unknown),
+      allergies: parseAllergies(raw.allergies),
+      plan: (raw.plan || []).map(normalizePlanDiet).filter(Boolean),
+      updatedAt: raw.updatedAt || null
+    };
+  }
+
+  // The feeding calculator's inputs for a patient
+  function patientFeedingProfile(patient) {
+    const { species, weight, weightUnit, lifeStage, status } = patient;
+    return { species, weight, weightUnit, lifeStage, status };
+  }
+
+  // The patient with a diet added to its plan, or updated in place if it
+  // is already there
+  function setPlanDiet(patient, productId, { dailyAmount = '', transition = '' }, addedAt = new Date().toISOString()) {
+    const existing = patient.plan.find(diet => diet.productId === productId);
+    const diet = normalizePlanDiet({ productId, dailyAmount, transition, addedAt: existing ? existing.addedAt : addedAt });
+    return {
+      ...patient,
+      plan: existing
+        ? patient.plan.map(entry => (entry.productId === productId ? diet : entry))
+        : patient.plan.concat(diet)
+    };
+  }
+
+  function removePlanDiet(patient, productId) {
+    return { ...patient, plan: patient.plan.filter(diet => diet.productId !== productId) };
+  }
+
+  const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Allergies a product's name, description or features mention at the
+  // start of a word ("soy" also finds "soybeans", "egg" finds "Eggs"). A
+  // diet that does not mention an allergen may still contain it; check the
+  // label.
+  function findAllergenMentions(product, allergies) {
+    const productText = [product.name, product.description].concat(product.features || []).join('\n');
+    return (allergies || []).filter(allergy =>
+      new RegExp(`\\b${escapeRegExp(allergy)}`, 'i').test(productText)
+    );
+  }
+
+  return {
+    BODY_CONDITION_SCORES,
+    parseAllergies,
+    normalizePatient,
+    patientFeedingProfile,
+    setPlanDiet,
+    removePlanDiet,
+    findAllergenMentions
+  };
+}));
@@ -0,0 +1,50 @@
+/*
+ * Price Watch Evaluation for VetFoodRx
+ *
+ * The rule that decides when a price watch fires, shared by the scheduled
+ * update (netlify/lib/price-watches.js) and the app, which checks watches
+ * against loaded prices so alerts also appear offline.
+ *
+ * A watch fires when the price is at or below its target. It then
+ * remembers the price it fired at and only fires again below that price,
+ * so a diet sitting under its target does not alert every week. Once the
+ * price rises above the target the watch is re-armed and the next drop
+ * fires again. Re-arms are counted in `rearmCount`, so each firing has its
+ * own alert id even when a later drop returns to the same price.
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxWatches) and
+ * with require() in the functions and tests.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VetFoodRxWatches = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  // Check a watch against its current price (null when unknown). Returns
+  // { fires, lastTriggeredPrice, rearmCount } with the state the watch
+  // should keep.
+  function checkWatch(watch, price) {
+    const lastTriggeredPrice = watch.lastTriggeredPrice == null ? null : watch.lastTriggeredPrice;
+    const rearmCount = watch.rearmCount || 0;
+    if (price === null) return { fires: false, lastTriggeredPrice, rearmCount };
+    if (price > watch.targetPrice) {
+      return { fires: false, lastTriggeredPrice: null, rearmCount: lastTriggeredPrice === null ? rearmCount : rearmCount + 1 };
+    }
+    if (lastTriggeredPrice !== null && price >= lastTriggeredPrice) return { fires: false, lastTriggeredPrice, rearmCount };
+    return { fires: true, lastTriggeredPrice: price, rearmCount };
+  }
+
+  // Id of one firing. Between re-arms a watch fires at most once per
+  // price, so the server and the app give the same drop the same id.
+  function alertId(watchId, rearmCount, price) {
+    return `${watchId}-${rearmCount}-${price}`;
+  }
+
+  return {
+    checkWatch,
+    alertId
+  };
+}));
@@ -0,0 +1,242 @@
+/*
+ * Product Search for VetFoodRx
+ *
+ * A small client-side full-text index over the product list. Queries are
+ * tokenized the same way as product text, so "k/d", "kd" and "K/D" agree
+ * and "Hills" finds "Hill's". Each query word must match somewhere in a
+ * product, by any of:
+ *
+ * - the word itself, or a word it starts ("hill" finds "hills")
+ * - an expansion: condition synonyms from the taxonomy ("renal" finds
+ *   kidney diets) and the shorthand in ABBREVIATIONS ("rc", "kd")
+ * - a near miss for longer words ("kidny", "gastroentric")
+ *
+ * Products are ranked by where and how well each word matched: a hit in
+ * the name outweighs one in the description, an exact word outweighs a
+ * typo. highlightMatches() marks the same matches in display text.
+ *
+ * Loaded as a plain script in the browser (window.VetFoodRxSearch, after
+ * shared/conditions.js) and with require() in tests.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./conditions'));
+  } else {
+    root.VetFoodRxSearch = factory(root.VetFoodRxConditions);
+  }
+}(typeof self !== 'undefined' ? self : this, function (conditions) {
+  // How much a match in each field counts towards a product's score
+  const FIELD_WEIGHTS = {
+    name: 5,
+    conditions: 4,
+    brand: 3,
+    features: 1.5,
+    description: 1,
+    other: 1
+  };
+
+  // How much each kind of match counts, relative to an exact word
+  const MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.8,
+    expansion: 0.7,
+    fuzzy: 0.5
+  };
+
+  // Shorthand vets type for brands and therapeutic lines, mapped to words
+  // that appear in product text
+  const ABBREVIATIONS = {
+    rc: ['royal', 'canin'],
+    ppvd: ['purina'],
+    hpd: ['hills'],
+    kd: ['kidney'],
+    cd: ['urinary'],
+    id: ['digestive'],
+    wd: ['weight'],
+    rd: ['weight'],
+    zd: ['allergies'],
+    nf: ['kidney'],
+    en: ['gastroenteric'],
+    ha: ['hydrolyzed'],
+    om: ['overweight'],
+    gi: ['gastrointestinal']
+  };
+
+  const STOP_WORDS = ['a', 'an', 'and', 'for', 'in', 'of', 'the', 'to', 'with'];
+
+  // Lower-case, drop accents and join the pieces of "hill's" and "k/d" so
+  // they index as single words
+  function normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/([a-z0-9])['’]([a-z])/g, '$1$2')
+      .replace(/\b([a-z])\/([a-z])\b/g, '$1$2');
+  }
+
+  function tokenize(text) {
+    return normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  // Edit distance with adjacent transpositions, giving up once it exceeds
+  // `max`
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous2 = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Typos allowed for a query word: none for short words, where one edit
+  // changes the meaning ("kd" vs "cd")
+  function allowedEdits(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+  }
+
+  // Quality of the best match between a query word and one indexed word,
+  // or 0
+  function matchWord(queryWord, word) {
+    if (word === queryWord) return MATCH_QUALITY.exact;
+    if (queryWord.length >= 2 && word.startsWith(queryWord)) return MATCH_QUALITY.prefix;
+    const edits = allowedEdits(queryWord);
+    if (edits > 0 && editDistance(queryWord, word, edits) <= edits) return MATCH_QUALITY.fuzzy;
+    return 0;
+  }
+
+  // Words a query word may also match: abbreviations and the single-word
+  // synonyms of the condition it names
+  function expandWord(word) {
+    const expansions = new Set(ABBREVIATIONS[word] || []);
+    const id = conditions.normalizeCondition(word);
+    if (id) {
+      const condition = conditions.getCondition(id);
+      [id].concat(condition.synonyms)
+        .filter(synonym => !/[^a-z0-9]/.test(synonym))
+        .forEach(synonym => expansions.add(synonym));
+    }
+    expansions.delete(word);
+    return Array.from(expansions);
+  }
+
+  // Query words with their expansions. Stop words are dropped unless the
+  // query is nothing but stop words.
+  function prepareQuery(query) {
+    const words = tokenize(query);
+    const meaningful = words.filter(word => !STOP_WORDS.includes(word));
+    return (meaningful.length > 0 ? meaningful : words).map(word => ({ word, expansions: expandWord(word) }));
+  }
+
+  // Best quality with which a prepared query word matches any of `words`
+  function matchQueryWord(queryWord, words) {
+    let best = 0;
+    words.forEach(word => {
+      best = Math.max(best, matchWord(queryWord.word, word));
+      queryWord.expansions.forEach(expansion => {
+        if (word === expansion) best = Math.max(best, MATCH_QUALITY.expansion);
+      });
+    });
+    return best;
+  }
+
+  // Searchable text for a product's condition tags: labels and synonyms, so
+  // "renal" finds a product tagged 'kidney'
+  function conditionText(tags) {
+    return (tags || []).map(tag => {
+      const condition = conditions.getCondition(conditions.normalizeCondition(tag));
+      return condition ? [condition.id, condition.label].concat(condition.synonyms).join(' ') : tag;
+    }).join(' ');
+  }
+
+  // Build the index once per product list
+  function createSearchIndex(products) {
+    return {
+      documents: products.map(product => ({
+        product: product,
+        fields: {
+          name: Array.from(new Set(tokenize(product.name))),
+          brand: Array.from(new Set(tokenize(product.brand))),
+          conditions: Array.from(new Set(tokenize(conditionText(product.targetedConditions)))),
+          features: Array.from(new Set(tokenize((product.features || []).join(' ')))),
+          description: Array.from(new Set(tokenize(product.description))),
+          other: Array.from(new Set(tokenize([product.species, product.type, product.retailer].join(' '))))
+        },
+        name: normalizeText(product.name)
+      }))
+    };
+  }
+
+  // Products matching every word of the query, best first. Returns
+  // [{ product, score }]; an empty query returns [].
+  function searchProducts(index, query) {
+    const queryWords = prepareQuery(query);
+    if (queryWords.length === 0) return [];
+    const phrase = normalizeText(query).trim();
+
+    return index.documents
+      .map(doc => {
+        let score = 0;
+        for (const queryWord of queryWords) {
+          let best = 0;
+          Object.keys(FIELD_WEIGHTS).forEach(field => {
+            best = Math.max(best, FIELD_WEIGHTS[field] * matchQueryWord(queryWord, doc.fields[field]));
+          });
+          if (best === 0) return null;
+          score += best;
+        }
+        // Reward the query appearing as typed in the name
+        if (queryWords.length > 1 && doc.name.includes(phrase)) score += FIELD_WEIGHTS.name;
+        return { product: doc.product, score: score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name));
+  }
+
+  // Split display text into [{ text, match }] parts, marking the words the
+  // query matched
+  function highlightMatches(text, query) {
+    const value = String(text || '');
+    const queryWords = prepareQuery(query);
+    if (queryWords.length === 0) return [{ text: value, match: false }];
+
+    const parts = [];
+    let last = 0;
+    const wordPattern = /[A-Za-z0-9\u00C0-\u024F]+(?:['’/][A-Za-z0-9\u00C0-\u024F]+)*/g;
+    let found;
+    while ((found = wordPattern.exec(value)) !== null) {
+      const words = tokenize(found[0]);
+      const isMatch = queryWords.some(queryWord => matchQueryWord(queryWord, words) > 0);
+      if (!isMatch) continue;
+      if (found.index > last) parts.push({ text: value.slice(last, found.index), match: false });
+      parts.push({ text: found[0], match: true });
+      last = found.index + found[0].length;
+    }
+    if (last < value.length) parts.push({ text: value.slice(last), match: false });
+    return parts;
+  }
+
+  return {
+    tokenize,
+    createSearchIndex,
+    searchProducts,
+    highlightMatches
+  };
+}));
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('assert');
+const { tagConditions } = require('../netlify/lib/condition-tagging');
+const KNOWN_DIETS = require('./fixtures/condition-tagging.json');
+
+test('known diets are tagged with their published indications', () => {
+  KNOWN_DIETS.forEach(diet => {
+    const { targetedConditions } = tagConditions(diet);
+    assert.deepStrictEqual(targetedConditions.slice().sort(), diet.expected.slice().sort(), diet.name);
+  });
+});
+
+test('line codes are high confidence and name their evidence', () => {
+  const { conditionTags } = tagConditions({
+    brand: "Hill's Prescription Diet",
+    name: "Hill's Prescription Diet k/d Kidney Care Dry Dog Food"
+  });
+  assert.deepStrictEqual(conditionTags, [{
+    id: 'kidney',
+    confidence: 'high',
+    evidence: [{ source: 'line-code', match: 'k/d' }, { source: 'title', match: 'kidney care' }]
+  }]);
+});
+
+test('description-only tags are low confidence and used only when the title is silent', () => {
+  const withTitle = tagConditions({ name: 'Renal Formula Dog Food', description: 'Also good for heart health.' });
+  assert.deepStrictEqual(withTitle.targetedConditions, ['kidney']);
+  assert.strictEqual(withTitle.conditionTags.find(tag => tag.id === 'cardiac').confidence, 'low');
+
+  const descriptionOnly = tagConditions({ name: 'Adult Formula Dog Food', description: 'Supports joint health.' });
+  assert.deepStrictEqual(descriptionOnly.targetedConditions, ['joint']);
+});
+
+test('line codes only apply to their own brand', () => {
+  assert.deepStrictEqual(tagConditions({ brand: 'Wellness', name: 'Wellness NF Dry Dog Food' }).targetedConditions, []);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+  CONDITIONS,
+  conditionLabel,
+  normalizeConditions,
+  findConditions,
+  expandCondition,
+  matchesCondition
+} = require('../shared/conditions');
+
+test('every condition has a unique id, a label and a known parent', () => {
+  const ids = CONDITIONS.map(condition => condition.id);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  CONDITIONS.forEach(condition => {
+    assert.ok(condition.label);
+    if (condition.parent) assert.ok(ids.includes(condition.parent), `${condition.id} has unknown parent`);
+  });
+});
+
+test('labels and synonyms from older data normalize to canonical ids', () => {
+  const result = normalizeConditions(['kidney disease', 'renal', 'Skin & Food Sensitivities', 'heart', 'itchy ears']);
+  assert.deepStrictEqual(result.ids, ['kidney', 'skin', 'cardiac']);
+  assert.deepStrictEqual(result.unknown, ['itchy ears']);
+  assert.strictEqual(conditionLabel('renal'), 'Kidney disease');
+  assert.strictEqual(conditionLabel('itchy ears'), 'itchy ears');
+});
+
+test('findConditions matches whole words only', () => {
+  assert.deepStrictEqual(findConditions('Supports urinary health and dissolves struvite stones'), ['urinary', 'struvite']);
+  assert.deepStrictEqual(findConditions('Boneless, skinless chicken with heartwarming flavour'), []);
+});
+
+test('a parent condition matches products tagged with its children', () => {
+  assert.deepStrictEqual(expandCondition('urinary'), ['urinary', 'struvite', 'oxalate']);
+  assert.strictEqual(matchesCondition(['oxalate'], 'urinary'), true);
+  assert.strictEqual(matchesCondition(['urinary'], 'oxalate'), false);
+  assert.strictEqual(matchesCondition(['kidney disease'], 'kidney'), true);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('assert');
+const { productsToRows, productsToCsv, productsToDatabase } = require('../shared/export');
+const { validate } = require('../netlify/lib/json-schema');
+const schema = require('../data/products.schema.json');
+
+const KD = {
+  id: 'hills-kd',
+  name: "Hill's Prescription Diet k/d Kidney Care Dry Dog Food",
+  brand: "Hill's Prescription Diet",
+  species: 'dog',
+  type: 'dry',
+  formats: ['kibble'],
+  targetedConditions: ['kidney', 'urinary'],
+  variants: [
+    { size: 8.5, unit: 'lb', count: 1, price: 54.99, sku: 'KD-8', availability: 'in-stock' },
+    {
+      size: 17.6,
+      unit: 'lb',
+      count: 1,
+      price: null,
+      sku: 'KD-17',
+      availability: 'out-of-stock',
+      priceEstimate: { amount: 99.5, method: 'unit-price', note: 'Estimated from the 8.5 lb price' }
+    }
+  ],
+  analysis: {
+    protein: { value: 14, unit: '%', qualifier: 'min' },
+    kcalPerKg: { value: 3845, unit: 'kcal/kg' }
+  },
+  link: 'https://www.1800petmeds.com/hills-kd',
+  lastSeen: '2025-08-25T20:20:18.735Z'
+};
+
+const LEGACY = {
+  id: 'legacy',
+  name: '=HYPERLINK("x") Renal Support, "Canned"',
+  brand: 'Royal Canin Veterinary Diet',
+  species: 'cat',
+  type: 'wet',
+  targetedConditions: ['renal'],
+  price: { estimate: 49, range: '$49' },
+  lastUpdated: '2025-08-25T20:20:21.925Z'
+};
+
+test('CSV has one row per size with prices labelled by status', () => {
+  const [header, observed, estimated] = productsToRows([KD]);
+  const row = (cells) => Object.fromEntries(header.map((name, index) => [name, cells[index]]));
+
+  assert.deepStrictEqual(row(observed), {
+    ID: 'hills-kd',
+    Brand: "Hill's Prescription Diet",
+    Name: "Hill's Prescription Diet k/d Kidney Care Dry Dog Food",
+    Species: 'dog',
+    Type: 'Dry',
+    Format: 'Kibble',
+    Conditions: 'Kidney disease; Urinary',
+    Size: '8.5 lb',
+    'Price (USD)': 54.99,
+    'Price status': 'observed',
+    Availability: 'in-stock',
+    'Crude protein (%)': 14,
+    'Crude fat (%)': '',
+    'Crude fiber (%)': '',
+    'Moisture (%)': '',
+    'Phosphorus (%)': '',
+    'Sodium (%)': '',
+    'Calories (kcal/kg)': 3845,
+    'Calories (kcal/cup)': '',
+    'Calories (kcal/can)': '',
+    Link: 'https://www.1800petmeds.com/hills-kd',
+    'Last updated': '2025-08-25T20:20:18.735Z'
+  });
+  assert.strictEqual(row(estimated)['Price (USD)'], 99.5);
+  assert.strictEqual(row(estimated)['Price status'], 'estimate');
+});
+
+test('CSV quotes fields and defuses spreadsheet formulas', () => {
+  const lines = productsToCsv([LEGACY]).split('\r\n');
+  assert.strictEqual(lines.length, 3);
+  assert.strictEqual(lines[2], '');
+  assert.ok(lines[1].startsWith('legacy,Royal Canin Veterinary Diet,"\'=HYPERLINK(""x"") Renal Support, ""Canned""",cat,Wet,,Kidney disease,,49,estimate,'));
+  assert.ok(lines[1].endsWith(',2025-08-25T20:20:21.925Z'));
+});
+
+test('JSON export is a valid products database', () => {
+  const database = productsToDatabase([KD, { ...LEGACY, targetedConditions: ['kidney'] }], {
+    exportedAt: '2025-09-01T00:00:00.000Z'
+  });
+  assert.strictEqual(database.totalProducts, 2);
+  assert.strictEqual(database.lastUpdated, '2025-09-01T00:00:00.000Z');
+  assert.deepStrictEqual(validate(database, schema), []);
+});
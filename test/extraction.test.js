@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('assert');
+const { readFixture } = require('./helpers/stub-server');
+const { assertGolden } = require('./helpers/golden');
+const {
+  parseNutritionalAnalysis,
+  parseSizeText,
+  extractVariants,
+  selectVariantPrice,
+  extractProductData
+} = require('../netlify/lib/extraction');
+const { parseJsonLd, parseMicrodata } = require('../netlify/lib/structured-data');
+
+const BASE_URL = 'https://www.1800petmeds.com';
+
+const PRODUCT_PAGES = {
+  'hills-kd-dry-dog': '1800petmeds/hills-kd-dry-dog.html',
+  'royal-canin-renal-d-canned-dog': '1800petmeds/royal-canin-renal-d-canned-dog.html',
+  'purina-en-dry-dog': '1800petmeds/purina-en-dry-dog.html',
+  'hills-cd-dry-cat': '1800petmeds/hills-cd-dry-cat.html',
+  'royal-canin-urinary-so-dry-cat': '1800petmeds/royal-canin-urinary-so-dry-cat.html',
+  'wag-hills-kd-dry-dog': 'wag/hills-kd-dry-dog.html'
+};
+
+function extract(name) {
+  return extractProductData(readFixture(PRODUCT_PAGES[name]), `${BASE_URL}/${name}`, {
+    baseUrl: BASE_URL,
+    retailer: '1800petmeds'
+  });
+}
+
+test('parseSizeText reads bags, cases and multipacks', () => {
+  assert.deepStrictEqual(parseSizeText('8.5 lb bag'), { size: 8.5, unit: 'lb', count: 1 });
+  assert.deepStrictEqual(parseSizeText('12 x 13 oz cans'), { size: 13, unit: 'oz', count: 12 });
+  assert.deepStrictEqual(parseSizeText('13.5 oz, case of 24'), { size: 13.5, unit: 'oz', count: 24 });
+  assert.strictEqual(parseSizeText('Choose a size'), null);
+});
+
+test('parseNutritionalAnalysis keeps label qualifiers and calorie units', () => {
+  const analysis = parseNutritionalAnalysis(readFixture(PRODUCT_PAGES['royal-canin-renal-d-canned-dog']));
+  assert.deepStrictEqual(analysis.protein, { value: 6, unit: '%', qualifier: 'min' });
+  assert.deepStrictEqual(analysis.fiber, { value: 1.5, unit: '%', qualifier: 'max' });
+  assert.deepStrictEqual(analysis.kcalPerKg, { value: 1244, unit: 'kcal/kg' });
+  assert.deepStrictEqual(analysis.kcalPerCan, { value: 477, unit: 'kcal/can' });
+});
+
+test('extractVariants prices each size option and flags sold-out sizes', () => {
+  const variants = extractVariants(readFixture(PRODUCT_PAGES['royal-canin-urinary-so-dry-cat']));
+  assert.deepStrictEqual(variants, [
+    { size: 6.6, unit: 'lb', count: 1, price: 29.99, sku: 'RC-SO-6', availability: 'in-stock' },
+    { size: 17.6, unit: 'lb', count: 1, price: 69.99, sku: 'RC-SO-17', availability: 'out-of-stock' }
+  ]);
+  assert.strictEqual(selectVariantPrice(variants, '17.6 lb'), 69.99);
+  assert.strictEqual(selectVariantPrice(variants), 29.99);
+});
+
+test('parseJsonLd flattens @graph, AggregateOffer and ProductGroup variants', () => {
+  const kd = parseJsonLd(readFixture(PRODUCT_PAGES['hills-kd-dry-dog']));
+  assert.strictEqual(kd.sku, 'PD-KD-DRY');
+  assert.strictEqual(kd.gtin, '0052742869806');
+  assert.strictEqual(kd.offers.length, 3);
+  assert.strictEqual(kd.offers[2].availability, 'out-of-stock');
+
+  const cd = parseJsonLd(readFixture(PRODUCT_PAGES['hills-cd-dry-cat']));
+  assert.deepStrictEqual(cd.offers.map(o => o.price), [32.99, 52.99, 74.99]);
+  assert.deepStrictEqual(cd.images, ['/images/cd-multicare-cat.jpg']);
+
+  const wag = parseJsonLd(readFixture(PRODUCT_PAGES['wag-hills-kd-dry-dog']));
+  assert.deepStrictEqual(wag.offers.map(o => o.sku), ['WAG-KD-8', 'WAG-KD-17']);
+
+  assert.strictEqual(parseJsonLd(readFixture(PRODUCT_PAGES['purina-en-dry-dog'])), null);
+});
+
+test('parseMicrodata reads nested brand and offer scopes separately', () => {
+  const product = parseMicrodata(readFixture(PRODUCT_PAGES['royal-canin-renal-d-canned-dog']));
+  assert.strictEqual(product.name, 'Royal Canin Veterinary Diet Renal Support D Canned Dog Food');
+  assert.strictEqual(product.brand, 'Royal Canin');
+  assert.strictEqual(product.sku, 'RC-RSD-CAN');
+  assert.deepStrictEqual(product.offers, [{
+    name: '13.5 oz, case of 24',
+    sku: 'RC-RSD-CAN-24',
+    gtin: null,
+    price: 62.99,
+    currency: 'USD',
+    availability: 'in-stock'
+  }]);
+});
+
+test('extractProductData records which path produced each field', () => {
+  assert.strictEqual(extract('hills-kd-dry-dog').provenance.variants, 'json-ld');
+  assert.strictEqual(extract('royal-canin-renal-d-canned-dog').provenance.name, 'microdata');
+  assert.strictEqual(extract('purina-en-dry-dog').provenance.name, 'heuristic');
+});
+
+test('extractProductData output matches the golden records', () => {
+  const products = {};
+  Object.keys(PRODUCT_PAGES).forEach(name => {
+    products[name] = extract(name);
+  });
+  assertGolden('extracted-products', products);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('assert');
+const { ATTRIBUTES, attributeLabel, detectFoodAttributes } = require('../shared/food-attributes');
+
+test('every attribute list has unique ids and labels', () => {
+  Object.values(ATTRIBUTES).forEach(items => {
+    const ids = items.map(item => item.id);
+    assert.strictEqual(new Set(ids).size, ids.length);
+    items.forEach(item => assert.ok(item.label));
+  });
+  assert.strictEqual(attributeLabel('formats', 'loaf'), 'Loaf');
+  assert.strictEqual(attributeLabel('formats', 'tube'), 'tube');
+});
+
+test('format comes from the title and implies the food type', () => {
+  assert.deepStrictEqual(
+    detectFoodAttributes({ name: 'Royal Canin Feline Renal Support E Pouch Morsels in Gravy' }),
+    { type: 'wet', formats: ['pouch', 'stew'], lifeStages: [], sizeClasses: [] }
+  );
+  const loaf = detectFoodAttributes({ name: 'Royal Canin Canine Gastrointestinal Low Fat Loaf Wet Dog Food', type: 'wet' });
+  assert.deepStrictEqual(loaf.formats, ['loaf']);
+  const canned = detectFoodAttributes({ name: "Hill's k/d Canned Cat Food", description: 'Pairs well with our dry formula' });
+  assert.strictEqual(canned.type, 'wet');
+  assert.deepStrictEqual(canned.formats, ['can']);
+});
+
+test('dry foods are kibble and formats of the other type are dropped', () => {
+  assert.deepStrictEqual(detectFoodAttributes({ name: 'Purina NF Kidney Function Dog Food', type: 'dry' }).formats, ['kibble']);
+  assert.deepStrictEqual(detectFoodAttributes({ name: 'Mix with Dry: Stew Topper', type: 'wet' }).formats, ['stew']);
+  assert.deepStrictEqual(detectFoodAttributes({ name: 'Renal Support Dog Food' }), {
+    type: null,
+    formats: [],
+    lifeStages: [],
+    sizeClasses: []
+  });
+});
+
+test('life stage and size class read the title and description', () => {
+  const result = detectFoodAttributes({
+    name: "Hill's Science Diet Adult Sensitive Stomach & Skin Small & Mini Chicken Dry Dog Food",
+    description: 'Also suitable for senior dogs 7+'
+  });
+  assert.deepStrictEqual(result.lifeStages, ['adult', 'senior']);
+  assert.deepStrictEqual(result.sizeClasses, ['small']);
+  assert.deepStrictEqual(
+    detectFoodAttributes({ name: 'Urinary Care Cat Food', description: 'Complete nutrition for all life stages' }).lifeStages,
+    ['growth', 'adult', 'senior']
+  );
+  assert.deepStrictEqual(detectFoodAttributes({ name: 'Large Breed Puppy Formula' }).sizeClasses, ['large']);
+  assert.deepStrictEqual(detectFoodAttributes({ name: 'Large Breed Puppy Formula' }).lifeStages, ['growth']);
+});
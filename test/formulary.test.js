@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('assert');
+const { normalizeEntry, setFormularyEntry, readFormulary, formularyToJson } = require('../shared/formulary');
+
+test('entries are normalized with defaults and clinic prices in cents', () => {
+  assert.deepStrictEqual(normalizeEntry({ price: '$1,049.999', size: ' 8.5 lb ', preferred: 'yes' }), {
+    inStock: true,
+    price: 1050,
+    size: '8.5 lb',
+    preferred: false,
+    notes: ''
+  });
+  assert.strictEqual(normalizeEntry({ inStock: false, price: -3 }).price, null);
+  assert.strictEqual(normalizeEntry({ inStock: false }).inStock, false);
+  assert.strictEqual(normalizeEntry(['prod1']), null);
+});
+
+test('setting an entry adds or removes it without touching the others', () => {
+  const entries = setFormularyEntry({}, 'prod1', { price: 20 });
+  const both = setFormularyEntry(entries, 'prod2', { preferred: true });
+  assert.deepStrictEqual(Object.keys(both), ['prod1', 'prod2']);
+  assert.deepStrictEqual(Object.keys(setFormularyEntry(both, 'prod1', null)), ['prod2']);
+  assert.deepStrictEqual(Object.keys(entries), ['prod1']);
+});
+
+test('an export reads back to the same entries', () => {
+  const entries = {
+    prod67598: { inStock: true, price: 62.5, size: '8.5 lb', preferred: true, notes: 'Reorder at 3 bags' },
+    'chewy-12345': { inStock: false, price: null, size: '', preferred: false, notes: '' }
+  };
+  const json = formularyToJson(entries, { exportedAt: '2025-09-01T00:00:00.000Z' });
+  assert.strictEqual(JSON.parse(json).format, 'vetfoodrx-formulary');
+  assert.deepStrictEqual(readFormulary(JSON.parse(json)), { entries, skipped: [] });
+});
+
+test('imports accept bare maps and lists and report what they skip', () => {
+  assert.deepStrictEqual(Object.keys(readFormulary({ prod1: { price: 10 }, prod2: 'in stock' }).entries), ['prod1']);
+  assert.deepStrictEqual(readFormulary({ prod1: { price: 10 }, prod2: 'in stock' }).skipped, ['prod2']);
+
+  const list = readFormulary([{ productId: 'prod1', price: '12.00' }, { price: 5 }]);
+  assert.deepStrictEqual(list.entries.prod1.price, 12);
+  assert.deepStrictEqual(list.skipped, ['#2']);
+
+  assert.throws(() => readFormulary('prod1'), /not a formulary/);
+  assert.throws(() => readFormulary({}), /not a formulary/);
+  assert.throws(() => readFormulary({ format: 'vetfoodrx-products', entries: {} }), /Expected a vetfoodrx-formulary file/);
+  assert.throws(() => readFormulary({ format: 'vetfoodrx-formulary', version: 2, entries: {} }), /newer version/);
+});
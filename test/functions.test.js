@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubServer } = require('./helpers/stub-server');
+const ROUTES = require('./fixtures/routes.json');
+const { assertGolden } = require('./helpers/golden');
+
+// Handlers resolve data/ from the working directory when they load, so run
+// them from a scratch directory rather than the repository
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetfoodrx-test-'));
+fs.mkdirSync(path.join(workDir, 'data'));
+process.chdir(workDir);
+
+const { handler: comprehensiveScraper } = require('../netlify/functions/comprehensive-product-scraper');
+const { handler: priceScraper } = require('../netlify/functions/productPriceScraper');
+const { handler: databaseUpdater } = require('../netlify/functions/update-product-database');
+const { handler: scheduledUpdate } = require('../netlify/functions/scheduled-price-update');
+const { handler: manualUpdate } = require('../netlify/functions/manual-price-update');
+
+function readData(name) {
+  return JSON.parse(fs.readFileSync(path.join(workDir, 'data', name), 'utf8'));
+}
+
+let stub;
+test.before(async () => {
+  stub = await startStubServer();
+});
+test.after(async () => {
+  await stub.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('comprehensive-product-scraper scrapes a category and a single product', async () => {
+  const category = await comprehensiveScraper({ queryStringParameters: { category: 'dog' } }, {});
+  assert.strictEqual(category.statusCode, 200);
+  const body = JSON.parse(category.body);
+  assert.strictEqual(body.totalFound, 3);
+  assert.strictEqual(body.source, '1800petmeds.com');
+
+  const single = await comprehensiveScraper({
+    queryStringParameters: { productUrl: 'https://www.1800petmeds.com/hills-kd-dry' }
+  }, {});
+  assert.strictEqual(JSON.parse(single.body).product.sku, 'PD-KD-DRY');
+});
+
+test('comprehensive-product-scraper rejects unknown categories', async () => {
+  const result = await comprehensiveScraper({ queryStringParameters: { category: 'bird' } }, {});
+  assert.strictEqual(result.statusCode, 400);
+
+  const wag = await comprehensiveScraper({ queryStringParameters: { category: 'dog', retailer: 'wag' } }, {});
+  assert.strictEqual(wag.statusCode, 400);
+});
+
+test('productPriceScraper averages the requested size across retailers', async () => {
+  const result = await priceScraper({
+    queryStringParameters: { productId: 'kd', petmedsSlug: 'hills-kd-dry', wagSlug: 'hills-kd-dry', size: '8.5 lb' }
+  }, {});
+  const body = JSON.parse(result.body);
+  assert.deepStrictEqual(body.sources, { '1800petmeds': 54.99, wag: 52.49 });
+  assert.strictEqual(body.averagePrice, 53.74);
+
+  const missing = await priceScraper({ queryStringParameters: { productId: 'kd' } }, {});
+  assert.strictEqual(missing.statusCode, 400);
+});
+
+test('update-product-database builds the products.json structure', async () => {
+  const result = await databaseUpdater({ queryStringParameters: {} }, {});
+  assert.strictEqual(result.statusCode, 200);
+  const { database, changes } = JSON.parse(result.body);
+  assert.strictEqual(database.totalProducts, 6);
+  assert.strictEqual(changes.added.length, 6);
+  assert.strictEqual(database.products.find(p => p.name.includes('NF Kidney')).price.status, 'unknown');
+  assertGolden('products', database);
+});
+
+test('scheduled-price-update saves products.json and records price history', async () => {
+  const result = await scheduledUpdate({}, {});
+  assert.strictEqual(result.statusCode, 200);
+
+  const body = JSON.parse(result.body);
+  assert.strictEqual(body.statistics.totalProducts, 6);
+  assert.ok(body.priceHistory.success);
+
+  assertGolden('products', readData('products.json'));
+
+  // The kidney diet without a price on its page adds no history points
+  const history = readData('price-history.json');
+  assert.strictEqual(Object.keys(history.series).length, 5);
+});
+
+test('a repeat refresh keeps every product id and reports no changes', async () => {
+  const before = readData('products.json').products.map(p => p.id);
+
+  const result = await scheduledUpdate({}, {});
+  const { changes } = JSON.parse(result.body);
+  assert.deepStrictEqual(changes.added, []);
+  assert.deepStrictEqual(changes.changed, []);
+  assert.strictEqual(changes.unchanged, 6);
+  assert.deepStrictEqual(readData('products.json').products.map(p => p.id), before);
+});
+
+test('manual-price-update scrapes one category without saving', async () => {
+  const result = await manualUpdate({ queryStringParameters: { category: 'cat' } }, {});
+  assert.strictEqual(result.statusCode, 200);
+  const body = JSON.parse(result.body);
+  assert.strictEqual(body.results.products.length, 3);
+  assert.strictEqual(body.validation.valid, true);
+  assert.ok(body.priceHistory.success);
+
+  // Scraped prices are recorded under the ids products.json uses
+  const ids = readData('products.json').products.map(p => p.id);
+  assert.ok(Object.keys(readData('price-history.json').series).every(id => ids.includes(id)));
+});
+
+test('scheduled-price-update keeps products.json when a scrape loses every product', async () => {
+  const saved = readData('products.json');
+
+  // Category pages still load but every product page is gone
+  await stub.close();
+  stub = await startStubServer(Object.fromEntries(
+    Object.entries(ROUTES).filter(([route]) => route.includes('/category/'))
+  ));
+
+  const result = await scheduledUpdate({}, {});
+  assert.strictEqual(result.statusCode, 422);
+  const body = JSON.parse(result.body);
+  assert.strictEqual(body.validation.valid, false);
+  assert.strictEqual(body.changes.removed.length, 6);
+  assert.strictEqual(body.validation.checks.productCount.dropPercent, 100);
+  assert.deepStrictEqual(readData('products.json'), saved);
+});
+
+test('manual-price-update records no price history for a run that fails validation', async () => {
+  const history = readData('price-history.json');
+
+  const result = await manualUpdate({ queryStringParameters: { fullUpdate: 'true' } }, {});
+  const body = JSON.parse(result.body);
+  assert.strictEqual(body.saved, false);
+  assert.strictEqual(body.validation.valid, false);
+  assert.strictEqual(body.priceHistory, null);
+  assert.deepStrictEqual(readData('price-history.json'), history);
+});
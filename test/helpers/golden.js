@@ -0,0 +1,38 @@
+/*
+ * Golden-file assertions.
+ *
+ * Compares a JSON value with test/golden/<name>.json after replacing ISO
+ * timestamps with a placeholder. Run with UPDATE_GOLDEN=1 to rewrite the
+ * golden files after an intended change, then review the diff.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+
+function normalize(value) {
+  return JSON.parse(JSON.stringify(value), (key, item) =>
+    typeof item === 'string' && TIMESTAMP.test(item) ? '<timestamp>' : item
+  );
+}
+
+function assertGolden(name, actual) {
+  const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+  const normalized = normalize(actual);
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(goldenPath, JSON.stringify(normalized, null, 2) + '\n', 'utf8');
+    return;
+  }
+
+  assert.ok(fs.existsSync(goldenPath), `Missing golden file ${name}.json; run with UPDATE_GOLDEN=1 to create it`);
+  const expected = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+  assert.deepStrictEqual(normalized, expected);
+}
+
+module.exports = {
+  assertGolden
+};
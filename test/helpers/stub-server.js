@@ -0,0 +1,65 @@
+/*
+ * Local stub server for the offline test suite.
+ *
+ * Serves the saved retailer pages in test/fixtures over plain HTTP and
+ * installs a fetch implementation that rewrites every retailer URL to it,
+ * so handlers exercise the real request path without touching the network.
+ * Routes map "host/path" to a fixture file (test/fixtures/routes.json);
+ * anything else is a 404.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { requestPage, setFetchImplementation } = require('../../netlify/lib/http');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const ROUTES = require('../fixtures/routes.json');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Start the server and route fetchPage() through it. Resolves to
+// { requests, close } where `requests` lists every "host/path" served.
+function startStubServer(routes = ROUTES) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const key = req.url.slice(1);
+    requests.push(key);
+    if (!routes[key]) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(readFixture(routes[key]));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+
+      // No retries: a missing fixture should fail fast
+      setFetchImplementation(url => {
+        const { host, pathname } = new URL(url);
+        return requestPage(`${origin}/${host}${pathname}`, 0);
+      });
+
+      resolve({
+        requests,
+        close: () => new Promise(done => {
+          setFetchImplementation(null);
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  readFixture,
+  startStubServer
+};
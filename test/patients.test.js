@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+  parseAllergies,
+  normalizePatient,
+  patientFeedingProfile,
+  setPlanDiet,
+  removePlanDiet,
+  findAllergenMentions
+} = require('../shared/patients');
+
+test('patients are normalized to known values', () => {
+  const patient = normalizePatient({
+    id: 'patient-1',
+    name: ' Bella ',
+    species: 'ferret',
+    weight: 22,
+    bodyConditionScore: '6',
+    conditions: ['renal', 'itchy ears', 'kidney'],
+    allergies: 'Chicken, beef; chicken\nsoy'
+  });
+  assert.deepStrictEqual(patient, {
+    id: 'patient-1',
+    name: 'Bella',
+    species: 'dog',
+    weight: '22',
+    weightUnit: 'lb',
+    lifeStage: 'adult',
+    status: 'neutered',
+    bodyConditionScore: 6,
+    conditions: ['kidney', 'itchy ears'],
+    allergies: ['Chicken', 'beef', 'soy'],
+    plan: [],
+    updatedAt: null
+  });
+  assert.strictEqual(normalizePatient({ bodyConditionScore: 10 }).bodyConditionScore, null);
+  assert.deepStrictEqual(parseAllergies(''), []);
+});
+
+test('a patient gives the feeding calculator its inputs', () => {
+  const patient = normalizePatient({ species: 'cat', weight: '4.5', weightUnit: 'kg', lifeStage: 'senior', status: 'weightLoss' });
+  assert.deepStrictEqual(patientFeedingProfile(patient), {
+    species: 'cat',
+    weight: '4.5',
+    weightUnit: 'kg',
+    lifeStage: 'senior',
+    status: 'weightLoss'
+  });
+});
+
+test('saving a diet to the plan adds it once and keeps when it was added', () => {
+  const patient = normalizePatient({ id: 'patient-1' });
+  const planned = setPlanDiet(patient, 'prod1', { dailyAmount: '2 cups per day' }, '2025-09-01T00:00:00.000Z');
+  const updated = setPlanDiet(planned, 'prod1', { dailyAmount: '1.5 cups per day', transition: 'Mix 25% for 3 days' }, '2025-09-05T00:00:00.000Z');
+  assert.deepStrictEqual(updated.plan, [{
+    productId: 'prod1',
+    dailyAmount: '1.5 cups per day',
+    transition: 'Mix 25% for 3 days',
+    addedAt: '2025-09-01T00:00:00.000Z'
+  }]);
+  assert.deepStrictEqual(setPlanDiet(updated, 'prod2', {}).plan.map(diet => diet.productId), ['prod1', 'prod2']);
+  assert.deepStrictEqual(removePlanDiet(updated, 'prod1').plan, []);
+  assert.deepStrictEqual(patient.plan, []);
+});
+
+test('allergens are found at the start of words in product text', () => {
+  const product = {
+    name: 'Hydrolyzed Protein Dog Food',
+    description: 'Made with chicken liver. No soybeans.',
+    features: ['Single source of Eggs']
+  };
+  assert.deepStrictEqual(findAllergenMentions(product, ['Chicken', 'soy', 'egg', 'beef']), ['Chicken', 'soy', 'egg']);
+  assert.deepStrictEqual(findAllergenMentions(product, ['liver', 'rice']), ['liver']);
+  assert.deepStrictEqual(findAllergenMentions(product, []), []);
+});
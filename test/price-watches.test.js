@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkWatch } = require('../shared/price-watches');
+const { evaluateWatches, processPriceWatches, loadAlerts } = require('../netlify/lib/price-watches');
+const { writeDocument } = require('../netlify/lib/data-store');
+const { createSender } = require('../netlify/lib/notification-senders');
+
+// The file store writes under data/ in the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetfoodrx-watches-'));
+fs.mkdirSync(path.join(workDir, 'data'));
+process.chdir(workDir);
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const product = (price) => ({
+  id: 'prod1',
+  name: 'Kidney Care',
+  variants: [{ size: 8.5, unit: 'lb', count: 1, price }]
+});
+
+test('a watch fires again after the price rises above target and drops back', () => {
+  let watch = { targetPrice: 50, lastTriggeredPrice: null };
+  const steps = [45, 45, 55, 45, 40, null].map(price => {
+    const { fires, lastTriggeredPrice } = checkWatch(watch, price);
+    watch = { ...watch, lastTriggeredPrice };
+    return [fires, lastTriggeredPrice];
+  });
+  assert.deepStrictEqual(steps, [[true, 45], [false, 45], [false, null], [true, 45], [true, 40], [false, 40]]);
+});
+
+test('scheduled evaluation re-arms watches above target', () => {
+  const watches = [{ id: 'watch-1', productId: 'prod1', variant: '8.5 lb', targetPrice: 50, lastTriggeredPrice: null }];
+  const fired = (price, timestamp) => evaluateWatches(watches, [product(price)], timestamp).map(alert => alert.price);
+
+  assert.deepStrictEqual(fired(45, '2025-09-01T00:00:00.000Z'), [45]);
+  assert.deepStrictEqual(fired(45, '2025-09-08T00:00:00.000Z'), []);
+  assert.deepStrictEqual(fired(55, '2025-09-15T00:00:00.000Z'), []);
+  assert.strictEqual(watches[0].lastTriggeredPrice, null);
+  assert.deepStrictEqual(fired(45, '2025-09-22T00:00:00.000Z'), [45]);
+  assert.strictEqual(watches[0].lastTriggeredAt, '2025-09-22T00:00:00.000Z');
+});
+
+test('a watch that fires again at the same price records a second alert', async () => {
+  const sender = { name: 'test', send: async () => ({ delivered: true }) };
+  await writeDocument('price-watches', {
+    watches: [{ id: 'watch-1', productId: 'prod1', variant: null, targetPrice: 50, lastTriggeredPrice: null }]
+  });
+  for (const price of [45, 55, 45]) {
+    await processPriceWatches([product(price)], { sender });
+  }
+
+  // Fired, re-armed above target, fired again at the same price
+  const alerts = await loadAlerts();
+  assert.deepStrictEqual(alerts.map(alert => alert.price), [45, 45]);
+  assert.strictEqual(new Set(alerts.map(alert => alert.id)).size, 2);
+});
+
+test('stores and senders without their package fail with an error naming it', async () => {
+  process.env.DATA_STORE = 'blobs';
+  try {
+    const result = await processPriceWatches([product(45)]);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /@netlify\/blobs/);
+  } finally {
+    delete process.env.DATA_STORE;
+  }
+
+  assert.throws(() => createSender('webpush'), /web-push package/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('assert');
+const { observedPrice, unknownPrice, estimateVariantPrices } = require('../netlify/lib/pricing');
+
+const variant = (size, unit, price, count = 1) => ({ size, unit, count, price, sku: null, availability: 'in-stock' });
+
+test('observedPrice records the source, confidence and scrape time', () => {
+  const price = observedPrice([variant(8.5, 'lb', 54.99), variant(17.6, 'lb', 89.99)], {
+    source: 'json-ld',
+    retailer: '1800petmeds',
+    scrapedAt: '2026-01-04T02:00:00.000Z'
+  });
+  assert.strictEqual(price.status, 'observed');
+  assert.strictEqual(price.amount, 54.99);
+  assert.strictEqual(price.range, '$54.99 - $89.99');
+  assert.strictEqual(price.confidence, 'high');
+  assert.strictEqual(price.scrapedAt, '2026-01-04T02:00:00.000Z');
+
+  assert.strictEqual(observedPrice([variant(8.5, 'lb', null)]), null);
+});
+
+test('unknownPrice carries no amount', () => {
+  const price = unknownPrice({ retailer: 'wag' });
+  assert.strictEqual(price.status, 'unknown');
+  assert.strictEqual(price.amount, null);
+});
+
+test('estimateVariantPrices scales unpriced sizes from the other sizes only', () => {
+  const variants = estimateVariantPrices([
+    variant(4, 'lb', 40),
+    variant(8, 'lb', 72),
+    variant(16, 'lb', null),
+    variant(13, 'oz', null, 12)
+  ]);
+  assert.strictEqual(variants[0].priceEstimate, undefined);
+  assert.strictEqual(variants[2].price, null);
+  // Median of $10/lb and $9/lb
+  assert.strictEqual(variants[2].priceEstimate.amount, 152);
+  assert.deepStrictEqual(variants[2].priceEstimate.basedOn, ['8 lb', '4 lb']);
+  assert.strictEqual(variants[3].priceEstimate.method, 'unit-price');
+
+  const unpriced = [variant(4, 'lb', null)];
+  assert.deepStrictEqual(estimateVariantPrices(unpriced), unpriced);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeProducts, normalizeProductConditions, validateProductDatabase, saveProductData } = require('../netlify/lib/product-database');
+
+function product(overrides = {}) {
+  return {
+    id: 'kd-dry',
+    name: "Hill's Prescription Diet k/d Kidney Care Dry Dog Food",
+    brand: "Hill's Prescription Diet",
+    species: 'dog',
+    targetedConditions: ['kidney'],
+    variants: [{ size: 8.5, unit: 'lb', count: 1, price: 54.99, sku: null, availability: 'in-stock' }],
+    price: { estimate: 54.99 },
+    ...overrides
+  };
+}
+
+function database(products) {
+  return { products, totalProducts: products.length, lastUpdated: '2026-01-04T02:00:00.000Z' };
+}
+
+test('a well-formed database passes', () => {
+  const result = validateProductDatabase(database([product()]), database([product()]));
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.checks.productCount.passed, true);
+  assert.strictEqual(result.checks.missingPrices.percent, 0);
+});
+
+test('schema errors name the offending path', () => {
+  const result = validateProductDatabase(database([product({ species: 'bird' }), product({ name: undefined })]));
+  assert.strictEqual(result.valid, false);
+  assert.ok(result.errors.includes('products[0].species: must be one of "dog", "cat"'));
+  assert.ok(result.errors.some(error => error.startsWith('products[1].name')));
+});
+
+test('an empty scrape is rejected', () => {
+  const result = validateProductDatabase(database([]));
+  assert.ok(result.errors.includes('products: must have at least 1 item(s)'));
+});
+
+test('thresholds reject large count drops and missing prices', () => {
+  const previous = database([product(), product(), product(), product()]);
+  const dropped = validateProductDatabase(database([product()]), previous);
+  assert.strictEqual(dropped.checks.productCount.dropPercent, 75);
+  assert.strictEqual(dropped.valid, false);
+
+  const unpriced = product({ variants: [], price: null });
+  const missing = validateProductDatabase(database([product(), unpriced, unpriced]), null, { maxMissingPricePercent: 50 });
+  assert.strictEqual(missing.checks.missingPrices.missing, 2);
+  assert.strictEqual(missing.valid, false);
+});
+
+test('saveProductData keeps the previous file when validation fails', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetfoodrx-db-'));
+  const filePath = path.join(dir, 'products.json');
+  try {
+    const good = database([product(), product({ id: 'kd-wet' })]);
+    assert.strictEqual((await saveProductData(good, { filePath })).saved, true);
+
+    const result = await saveProductData(database([]), { filePath });
+    assert.strictEqual(result.saved, false);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), good);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('mergeProducts keeps curated fields and unscraped fields', () => {
+  const existing = [product({ features: ['Vet-written summary'], curatedFields: ['features'], notes: 'Clinic favourite' })];
+  const fresh = [product({ features: ['Scraped bullet'], price: { estimate: 49.99 } })];
+  const { products, changes } = mergeProducts(existing, fresh, '2026-01-11T02:00:00.000Z');
+
+  assert.deepStrictEqual(products[0].features, ['Vet-written summary']);
+  assert.strictEqual(products[0].notes, 'Clinic favourite');
+  assert.strictEqual(products[0].price.estimate, 49.99);
+  assert.deepStrictEqual(changes.changed, [{ id: 'kd-dry', name: products[0].name, fields: ['price'] }]);
+});
+
+test('mergeProducts marks vanished products discontinued and reactivates returning ones', () => {
+  const existing = [product(), product({ id: 'kd-wet' })];
+  const first = mergeProducts(existing, [product()], '2026-01-11T02:00:00.000Z');
+  const wet = first.products.find(p => p.id === 'kd-wet');
+  assert.strictEqual(wet.status, 'discontinued');
+  assert.strictEqual(wet.discontinuedAt, '2026-01-11T02:00:00.000Z');
+  assert.deepStrictEqual(first.changes.removed.map(p => p.id), ['kd-wet']);
+
+  const second = mergeProducts(first.products, [product(), product({ id: 'kd-wet' }), product({ id: 'cd-cat' })]);
+  assert.deepStrictEqual(second.changes.reactivated.map(p => p.id), ['kd-wet']);
+  assert.deepStrictEqual(second.changes.added.map(p => p.id), ['cd-cat']);
+  assert.ok(second.products.every(p => p.status === 'active' && !p.discontinuedAt));
+});
+
+test('discontinued products do not count towards the product count threshold', () => {
+  const previous = database([product(), product({ id: 'b' }), product({ id: 'c' })]);
+  const current = database([product(), product({ id: 'b', status: 'discontinued' }), product({ id: 'c', status: 'discontinued' })]);
+  assert.strictEqual(validateProductDatabase(current, previous).checks.productCount.current, 1);
+});
+
+test('condition tags are normalized and unknown tags reported as warnings', () => {
+  const products = [product({ targetedConditions: ['kidney disease', 'renal'] }), product({ id: 'x', targetedConditions: ['itchy ears'] })];
+  const { products: normalized, unknown } = normalizeProductConditions(products);
+  assert.deepStrictEqual(normalized[0].targetedConditions, ['kidney']);
+  assert.deepStrictEqual(unknown, { 'itchy ears': ['x'] });
+
+  const result = validateProductDatabase(database(products));
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.warnings, ['Unknown condition tag "itchy ears" on 1 product(s): x']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('assert');
+const { startStubServer } = require('./helpers/stub-server');
+const {
+  defineAdapter,
+  getAdapter,
+  listAdapters,
+  discoverCategory,
+  scrapeProducts,
+  scrapePrice
+} = require('../netlify/lib/retailers');
+
+let stub;
+test.before(async () => {
+  stub = await startStubServer();
+});
+test.after(() => stub.close());
+
+test('built-in adapters are registered with their slug parameters', () => {
+  assert.deepStrictEqual(listAdapters().map(a => [a.id, a.slugParam]), [
+    ['1800petmeds', 'petmedsSlug'],
+    ['wag', 'wagSlug']
+  ]);
+  assert.throws(() => getAdapter('chewy'), /Unknown retailer "chewy"/);
+  assert.throws(() => defineAdapter({ id: 'x', name: 'X', baseUrl: 'https://x.com' }), /slugParam/);
+});
+
+test('product ids come from the SKU or canonical URL', () => {
+  const petmeds = getAdapter('1800petmeds');
+  assert.strictEqual(petmeds.productId({ link: 'https://www.1800petmeds.com/dog/product/kd/prod67598.html?src=grid' }), 'prod67598');
+  assert.strictEqual(petmeds.productId({ sku: 'PD KD/DRY', link: 'https://www.1800petmeds.com/kd-product.html' }), '1800petmeds-pd-kd-dry');
+  assert.strictEqual(getAdapter('wag').productId({ link: 'https://www.wag.com/Hills-KD/' }), 'wag-hills-kd');
+  assert.strictEqual(getAdapter('wag').productId({}), null);
+});
+
+test('discoverCategory finds product links on the 1800PetMeds category pages', async () => {
+  const adapter = getAdapter('1800petmeds');
+  const dogLinks = await discoverCategory(adapter, 'dog', 50);
+  assert.strictEqual(dogLinks.length, 3);
+  assert.ok(dogLinks.every(link => link.startsWith('https://www.1800petmeds.com/')));
+
+  assert.strictEqual((await discoverCategory(adapter, 'cat', 1)).length, 1);
+  await assert.rejects(discoverCategory(getAdapter('wag'), 'dog'), /no dog category/);
+});
+
+test('scrapeProducts drops pages that fail to load', async () => {
+  const adapter = getAdapter('1800petmeds');
+  const links = await discoverCategory(adapter, 'cat', 50);
+  const products = await scrapeProducts(adapter, [...links, 'https://www.1800petmeds.com/missing-product.html']);
+  assert.deepStrictEqual(products.map(p => p.sku), ['PD-CD-CAT', null, null]);
+  assert.ok(products.every(p => p.species === 'cat' && p.retailer === '1800petmeds'));
+});
+
+test('scrapePrice returns variants and the requested size from each retailer', async () => {
+  const petmeds = await scrapePrice(getAdapter('1800petmeds'), 'hills-kd-dry', '17.6 lb');
+  assert.strictEqual(petmeds.price, 89.99);
+
+  const wag = await scrapePrice(getAdapter('wag'), 'hills-kd-dry');
+  assert.strictEqual(wag.price, 52.49);
+
+  assert.strictEqual(await scrapePrice(getAdapter('wag'), 'not-a-product'), null);
+});
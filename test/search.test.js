@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('assert');
+const { tokenize, createSearchIndex, searchProducts, highlightMatches } = require('../shared/search');
+
+const PRODUCTS = [
+  {
+    id: 'hills-kd',
+    name: "Hill's Prescription Diet k/d Kidney Care Dry Dog Food",
+    brand: "Hill's Prescription Diet",
+    species: 'dog',
+    targetedConditions: ['kidney'],
+    features: ['Controlled phosphorus'],
+    description: 'Clinically tested nutrition to support kidney function.'
+  },
+  {
+    id: 'rc-renal',
+    name: 'Royal Canin Veterinary Diet Renal Support F Dry Cat Food',
+    brand: 'Royal Canin Veterinary Diet',
+    species: 'cat',
+    targetedConditions: ['kidney'],
+    features: ['Enhanced palatability'],
+    description: null
+  },
+  {
+    id: 'hills-id',
+    name: "Hill's Prescription Diet i/d Digestive Care Dry Dog Food",
+    brand: "Hill's Prescription Diet",
+    species: 'dog',
+    targetedConditions: ['digestive'],
+    features: ['Prebiotic fiber'],
+    description: null
+  },
+  {
+    id: 'purina-en',
+    name: 'Purina Pro Plan Veterinary Diets EN Gastroenteric Dry Dog Food',
+    brand: 'Purina Pro Plan Veterinary Diets',
+    species: 'dog',
+    targetedConditions: ['digestive'],
+    features: ['Highly digestible'],
+    description: null
+  }
+];
+
+const index = createSearchIndex(PRODUCTS);
+const ids = (query) => searchProducts(index, query).map(result => result.product.id);
+
+test('tokenize joins line codes and possessives', () => {
+  assert.deepStrictEqual(tokenize("Hill's k/d"), ['hills', 'kd']);
+  assert.deepStrictEqual(tokenize('K/D'), ['kd']);
+});
+
+test('line codes match with or without the slash', () => {
+  assert.strictEqual(ids('k/d')[0], 'hills-kd');
+  assert.strictEqual(ids('kd')[0], 'hills-kd');
+});
+
+test('condition synonyms find diets that use another word', () => {
+  assert.deepStrictEqual(ids('renal').sort(), ['hills-kd', 'rc-renal']);
+  // The name match ranks above the synonym
+  assert.strictEqual(ids('renal')[0], 'rc-renal');
+});
+
+test('every query word must match, across fields', () => {
+  assert.deepStrictEqual(ids('Hills kidney'), ['hills-kd']);
+  assert.deepStrictEqual(ids('rc digestive'), []);
+});
+
+test('longer words tolerate typos; short codes do not', () => {
+  assert.deepStrictEqual(ids('kidny').sort(), ['hills-kd', 'rc-renal']);
+  assert.deepStrictEqual(ids('gastroentric'), ['purina-en', 'hills-id']);
+  assert.ok(!ids('cd').includes('hills-id'));
+});
+
+test('highlightMatches marks the matched words as written', () => {
+  const parts = highlightMatches(PRODUCTS[0].name, 'hills kd');
+  assert.deepStrictEqual(parts.filter(part => part.match).map(part => part.text), ["Hill's", 'k/d', 'Kidney']);
+  assert.strictEqual(parts.map(part => part.text).join(''), PRODUCTS[0].name);
+});